@@ -1,9 +1,25 @@
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
 import { Config } from './config/Config.js';
 import { TextractService } from './services/TextractService.js';
+import { TextLayerService } from './services/TextLayerService.js';
 import { PDFProcessor } from './services/PDFProcessor.js';
 import { S3Service } from './services/S3Service.js';
+import { FileSystemStorage } from './services/FileSystemStorage.js';
 import { MetadataExtractor } from './extractors/MetadataExtractor.js';
+import { LabResultsExtractor } from './extractors/LabResultsExtractor.js';
 import { DocumentSplitter } from './processors/DocumentSplitter.js';
+import { PageClassifier } from './processors/PageClassifier.js';
+import { MpiMatcher } from './processors/MpiMatcher.js';
+import { FhirExporter } from './exporters/FhirExporter.js';
+import { Hl7Serializer } from './exporters/Hl7Serializer.js';
+import { MllpClient } from './services/MllpClient.js';
+import { ManifestStore } from './services/ManifestStore.js';
+import { JobStore } from './services/JobStore.js';
+import { FileCacheStore } from './cache/FileCacheStore.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { withRetry } from './utils/retry.js';
+import { Logger } from './utils/Logger.js';
 
 /**
  * Main report processor orchestrating all components
@@ -13,59 +29,263 @@ export class ReportProcessor {
     this.config = config || new Config();
     this.config.validate();
 
+    // One logger shared by every component built from this config
+    this.logger = Logger.fromConfig(this.config);
+    this.config.logging.logger = this.logger;
+
     // Initialize all services
-    this.textractService = new TextractService(this.config);
+    this.cacheStore = this._createCacheStore();
+    this.textractService = new TextractService(this.config, this.cacheStore);
+    this.ocrProvider = this._createOcrProvider();
     this.pdfProcessor = new PDFProcessor(this.config);
-    this.metadataExtractor = new MetadataExtractor(this.config);
+    this.labResultsExtractor = new LabResultsExtractor(this.config);
+    this.metadataExtractor = new MetadataExtractor(this.config, this.labResultsExtractor);
+    this.pageClassifier = new PageClassifier(this.config);
     this.documentSplitter = new DocumentSplitter(this.config);
-    this.s3Service = new S3Service(this.config);
+    this.mpiMatcher = this.config.mpi.indexPath ? new MpiMatcher(this.config) : null;
+    this.storage = this._createStorageBackend();
+    this.manifestStore = this.config.idempotency.enabled ? new ManifestStore(this.config, this.storage) : null;
+    this.jobStore = this.config.jobs.enabled ? new JobStore(this.config) : null;
+    this.fhirExporter = new FhirExporter(this.config);
+    this.hl7Serializer = new Hl7Serializer(this.config);
+    this.mllpClient = this.config.hl7.mllp.enabled ? new MllpClient(this.config) : null;
   }
 
-  async processReport(pdfPath) {
-    console.log(`Starting processing of ${pdfPath}...`);
+  /**
+   * Options:
+   *   dryRun     - stop after splitting and metadata extraction, return the split plan
+   *   previewDir - with dryRun, also write the split PDFs to this directory
+   *   splitPlan  - use these page assignments (and optional per-report metadata)
+   *                instead of automatic splitting; the same shape the result's splitPlan has
+   *   signal     - AbortSignal; aborting stops before the next page or report, keeping checkpoints
+   *   onProgress - called with { stage: 'pages' | 'reports', done, total } as work completes
+   *   sourceName - name the document is filed under (key templates, tags, plan and manifest)
+   *                instead of pdfPath's file name, e.g. the original name of an upload
+   *   documentId - ID for this run (logs, keys, manifest, job) instead of a new random one,
+   *                e.g. the ID an upload was accepted under; must be unique per run
+   */
+  async processReport(pdfPath, options = {}) {
+    // Every log line for this document carries its documentId
+    const documentId = options.documentId || randomUUID();
+    return Logger.runWithContext({ documentId }, () => this._processDocument(pdfPath, documentId, options));
+  }
+
+  // Continue an interrupted run: checkpointed pages are not analyzed and uploaded reports not sent again
+  async resumeJob(jobId, options = {}) {
+    if (!this.jobStore) {
+      throw new Error("Job checkpoints are disabled (jobs.enabled), nothing to resume from");
+    }
+
+    const job = await this.jobStore.load(jobId);
+    this.logger.info(`Resuming job ${jobId}`, { file: path.basename(job.source), previousStatus: job.status });
+    return Logger.runWithContext({ documentId: jobId }, () => this._processDocument(job.source, jobId, { ...options, ...job.options, job }));
+  }
+
+  async _processDocument(pdfPath, documentId, options) {
+    const logger = this.logger;
+    const sourceName = path.basename(options.sourceName || pdfPath);
+    logger.info(`Starting ${options.dryRun ? 'dry run' : 'processing'}`, { file: sourceName });
 
     const startTime = Date.now();
+    let manifest = null;
+    let job = options.job || null;
 
     try {
       // Load and validate PDF
       const pdfDoc = await this.pdfProcessor.loadPDF(pdfPath);
       const docInfo = this.pdfProcessor.getDocumentInfo(pdfDoc);
       const totalPages = pdfDoc.getPageCount();
+      const fingerprint = await this.pdfProcessor.fingerprint(pdfPath);
+      if (job && job.fingerprint !== fingerprint) {
+        throw new Error(`${path.basename(pdfPath)} has changed since job ${job.jobId} started, it cannot be resumed`);
+      }
 
-      console.log(`Processing ${totalPages} pages...`);
-      console.log(`Document info: ${docInfo.title || 'Untitled'} (${docInfo.pageCount} pages)`);
+      // A document that was already processed in full is not analyzed again under the 'skip' policy
+      const previousRun = this.manifestStore && !options.dryRun ? await this.manifestStore.load(fingerprint) : null;
+      if (previousRun?.status === 'completed' && this.manifestStore.policy === 'skip' && !job) {
+        const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        logger.info('Document was already processed, skipping', {
+          fingerprint,
+          previousDocumentId: previousRun.documentId,
+          manifest: this.manifestStore.keyFor(fingerprint)
+        });
+
+        return {
+          success: true,
+          skipped: true,
+          documentId,
+          fingerprint,
+          previousDocumentId: previousRun.documentId,
+          manifestKey: this.manifestStore.keyFor(fingerprint),
+          totalPages,
+          reportsFound: previousRun.reports.length,
+          processingTimeSeconds: parseFloat(processingTime)
+        };
+      }
+
+      // Real runs checkpoint their progress so an interrupted run can be resumed
+      if (!job && this.jobStore && !options.dryRun) {
+        job = await this.jobStore.create({
+          jobId: documentId,
+          source: pdfPath,
+          fingerprint,
+          totalPages,
+          options: {
+            ...(options.splitPlan ? { splitPlan: options.splitPlan } : {}),
+            ...(options.sourceName ? { sourceName: options.sourceName } : {})
+          }
+        });
+      }
+
+      logger.info(`Processing ${totalPages} pages...`);
+      logger.debug('Document fingerprint', { fingerprint });
+      logger.debug('Document info', { title: docInfo.title || 'Untitled', pageCount: docInfo.pageCount });
+
+      // Identities are checked against the patient index before anything is filed
+      if (this.mpiMatcher) {
+        await this.mpiMatcher.load();
+      }
 
       // Extract data from each page
-      const pageDataArray = await this._extractPageData(pdfDoc, totalPages);
+      const { pageDataArray, failedPages } = await this._extractPageData(pdfDoc, totalPages, job, options);
+
+      if (failedPages.length > 0) {
+        logger.warn(`${failedPages.length} page(s) could not be extracted and are missing from the reports`, {
+          pages: failedPages.map(p => p.pageNumber)
+        });
+      }
 
-      // Split into patient reports
-      const patientReports = this.documentSplitter.splitIntoPatientReports(pageDataArray);
+      // Split into patient reports, or follow the supplied plan as given
+      let patientReports;
+      let removedPages = [];
+      if (options.splitPlan) {
+        patientReports = this.documentSplitter.applySplitPlan(pageDataArray, options.splitPlan);
+      } else {
+        // Blank pages and separator sheets never reach a patient report
+        const classified = this.pageClassifier.filterPages(pageDataArray);
+        removedPages = classified.removedPages;
+        if (removedPages.length > 0) {
+          logger.info(`Removed ${removedPages.length} page(s)`, {
+            pages: removedPages.map(p => `${p.pageNumber}:${p.type}`)
+          });
+        }
+        if (classified.pages.length === 0) {
+          throw new Error("No content pages left after removing blank and separator pages");
+        }
+        patientReports = this.documentSplitter.splitIntoPatientReports(classified.pages);
+      }
+
+      logger.info(`Found ${patientReports.length} patient reports${options.splitPlan ? ' (from split plan)' : ''}.`);
+
+      const splitPlan = this._buildSplitPlan(sourceName, totalPages, patientReports, removedPages);
+
+      if (options.dryRun) {
+        const previewFiles = options.previewDir
+          ? await this._writePreviewFiles(patientReports, splitPlan, options.previewDir)
+          : [];
+
+        const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        logger.info(`Dry run complete in ${processingTime}s, nothing was uploaded.`);
+
+        return {
+          success: true,
+          dryRun: true,
+          documentId,
+          fingerprint,
+          totalPages,
+          failedPages,
+          removedPages,
+          reportsFound: patientReports.length,
+          reportsForReview: patientReports.filter(r => r.needsReview).length,
+          processingTimeSeconds: parseFloat(processingTime),
+          splitPlan,
+          previewFiles,
+          documentInfo: docInfo
+        };
+      }
 
-      console.log(`Found ${patientReports.length} patient reports.`);
+      // Match reports against the previous run of this document so nothing is uploaded twice
+      let decisions = [];
+      if (this.manifestStore) {
+        manifest = this.manifestStore.create({ fingerprint, source: sourceName, documentId, totalPages }, previousRun);
+        decisions = this.manifestStore.planReports(manifest, previousRun, patientReports, this.config.storage.reviewPrefix);
+        if (manifest.staleKeys.length > 0) {
+          logger.warn(`${manifest.staleKeys.length} output(s) from an earlier run of this document no longer match a report`, {
+            keys: manifest.staleKeys
+          });
+        }
+        await this.manifestStore.save(manifest);
+      }
 
       // Process and upload each report
-      const results = await this._processPatientReports(patientReports);
+      const results = await this._processPatientReports(patientReports, sourceName, {
+        manifest,
+        decisions,
+        job,
+        signal: options.signal,
+        onProgress: options.onProgress
+      });
+
+      if (manifest) {
+        await this.manifestStore.save(this.manifestStore.finish(manifest, failedPages));
+      }
+      if (job) {
+        const complete = failedPages.length === 0 && results.every(r => !r.error);
+        await this.jobStore.finish(job, complete ? 'completed' : 'partial');
+        if (!complete) {
+          logger.warn(`Job ${job.jobId} is incomplete, run "resume ${job.jobId}" to retry the failed pages and reports`);
+        }
+      }
 
+      const uploaded = results.filter(r => !r.error && !r.skipped).length;
+      const skipped = results.filter(r => r.skipped).length;
       const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.log(`Processing complete in ${processingTime}s! Uploaded ${results.filter(r => !r.error).length} patient reports.`);
+      logger.info(`Processing complete in ${processingTime}s! Uploaded ${uploaded} patient reports${skipped > 0 ? `, ${skipped} already uploaded` : ''}.`);
 
       return {
         success: true,
+        documentId,
+        jobId: job?.jobId || null,
+        fingerprint,
+        manifestKey: manifest ? this.manifestStore.keyFor(fingerprint) : null,
         totalPages,
+        failedPages,
+        removedPages,
         reportsFound: patientReports.length,
-        reportsProcessed: results.filter(r => !r.error).length,
+        reportsProcessed: uploaded,
+        reportsSkipped: skipped,
         reportsFailed: results.filter(r => r.error).length,
+        reportsForReview: results.filter(r => r.needsReview).length,
         processingTimeSeconds: parseFloat(processingTime),
         results,
+        splitPlan,
         documentInfo: docInfo
       };
 
     } catch (error) {
       const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.error(`Processing failed after ${processingTime}s: ${error.message}`);
+      logger.error(`Processing failed after ${processingTime}s`, { error });
+
+      if (job) {
+        job.status = 'failed';
+        job.error = error.message;
+        await this.jobStore.save(job).catch(saveError => {
+          logger.warn('Could not save job state', { error: saveError });
+        });
+        logger.warn(`Run "resume ${job.jobId}" to continue from the last checkpoint`);
+      }
+      if (manifest) {
+        manifest.status = 'failed';
+        manifest.error = error.message;
+        await this.manifestStore.save(manifest).catch(saveError => {
+          logger.warn('Could not save run manifest', { error: saveError });
+        });
+      }
 
       return {
         success: false,
+        documentId,
+        jobId: job?.jobId || null,
         error: error.message,
         processingTimeSeconds: parseFloat(processingTime)
       };
@@ -73,23 +293,23 @@ export class ReportProcessor {
   }
 
   // Process multiple files in batch
-  async processBatch(pdfPaths) {
+  async processBatch(pdfPaths, options = {}) {
     if (!Array.isArray(pdfPaths) || pdfPaths.length === 0) {
       throw new Error("PDF paths array is required for batch processing");
     }
 
-    console.log(`📦 Starting batch processing of ${pdfPaths.length} files...`);
+    this.logger.info(`📦 Starting batch processing of ${pdfPaths.length} files...`);
 
     const batchResults = [];
 
     for (const [index, pdfPath] of pdfPaths.entries()) {
-      console.log(`\nProcessing file ${index + 1}/${pdfPaths.length}: ${pdfPath}`);
+      this.logger.info(`Processing file ${index + 1}/${pdfPaths.length}`, { file: path.basename(pdfPath) });
 
       try {
-        const result = await this.processReport(pdfPath);
+        const result = await this.processReport(pdfPath, options);
         batchResults.push({ file: pdfPath, ...result });
       } catch (error) {
-        console.error(`Failed to process ${pdfPath}: ${error.message}`);
+        this.logger.error(`Failed to process file ${index + 1}/${pdfPaths.length}`, { file: path.basename(pdfPath), error });
         batchResults.push({
           file: pdfPath,
           success: false,
@@ -101,9 +321,11 @@ export class ReportProcessor {
     const successful = batchResults.filter(r => r.success);
     const failed = batchResults.filter(r => !r.success);
 
-    console.log(`\nBatch processing complete:`);
-    console.log(`   Successful: ${successful.length}/${pdfPaths.length}`);
-    console.log(`   Failed: ${failed.length}/${pdfPaths.length}`);
+    this.logger.info('Batch processing complete', {
+      successful: successful.length,
+      failed: failed.length,
+      total: pdfPaths.length
+    });
 
     return {
       totalFiles: pdfPaths.length,
@@ -119,100 +341,420 @@ export class ReportProcessor {
       config: {
         region: this.config.aws.region,
         bucket: this.config.aws.s3BucketName,
+        storageBackend: this.config.storage.backend,
         confidenceThreshold: this.config.textract.confidenceThreshold
       },
       services: {
+        ocr: this.ocrProvider.name,
         textract: this.textractService.constructor.name,
         pdf: this.pdfProcessor.constructor.name,
         metadata: this.metadataExtractor.constructor.name,
+        labResults: this.labResultsExtractor.constructor.name,
         splitter: this.documentSplitter.constructor.name,
-        storage: this.s3Service.constructor.name
+        storage: this.storage.name,
+        cache: this.cacheStore?.name || null
+      }
+    };
+  }
+
+  // Describe how the document was split without uploading anything
+  _buildSplitPlan(sourceName, totalPages, patientReports, removedPages = []) {
+    return {
+      version: 1,
+      source: sourceName,
+      totalPages,
+      removedPages,
+      reports: patientReports.map(report => {
+        const metadata = this._extractReportMetadata(report);
+
+        return {
+          reportIndex: report.reportIndex,
+          startPage: report.firstPageIndex + 1,
+          endPage: report.lastPageIndex + 1,
+          pages: report.pages.map(page => page.index + 1),
+          splitReason: report.splitReason,
+          splitConfidence: report.splitConfidence,
+          needsReview: report.needsReview,
+          reviewReasons: report.reviewReasons,
+          pageNumbering: report.pageNumbering,
+          identifiers: {
+            name: metadata.name,
+            dob: metadata.dob,
+            patientId: metadata.patientId
+          },
+          confidence: metadata.confidence,
+          identifierDetails: metadata.fields,
+          mpi: metadata.mpi || null,
+          filename: this.storage.getFilename(metadata, report.reportIndex, this._storageOptions(report, sourceName))
+        };
+      })
+    };
+  }
+
+  // Metadata from the report's first page, with any split plan overrides applied
+  // and checked against the patient index
+  _extractReportMetadata(report) {
+    const metadata = this.metadataExtractor.extractMetadata(report.pages[0]);
+    metadata.pageCount = report.pageCount;
+    metadata.splitConfidence = report.splitConfidence;
+
+    if (report.metadataOverride) {
+      const overriddenFields = [];
+      for (const field of Object.keys(this.metadataExtractor.getFieldSchema())) {
+        const raw = report.metadataOverride[field];
+        if (!raw) continue;
+
+        // Overrides are normalized like extracted values, so "03/15/1985" matches an extracted 1985-03-15
+        const value = this.metadataExtractor.normalizeField(field, raw);
+        if (!value) {
+          throw new Error(`Split plan metadata for report ${report.reportIndex + 1} has an invalid ${field}`);
+        }
+        metadata[field] = value;
+        metadata.extractionMethod[field] = 'manual';
+        metadata.fields[field] = { value, raw: String(raw).trim(), confidence: 100, source: 'manual', page: null, location: null };
+        overriddenFields.push(field);
+      }
+      metadata.overriddenFields = overriddenFields;
+      this.metadataExtractor.scoreMetadata(metadata);
+    }
+
+    if (this.mpiMatcher) {
+      metadata.mpi = this.mpiMatcher.match(metadata);
+      if (metadata.mpi.corrections.length > 0) {
+        this.metadataExtractor.scoreMetadata(metadata);
       }
+      if (this.mpiMatcher.needsReview(metadata.mpi)) {
+        this._flagForReview(report, `mpi_${metadata.mpi.status}`);
+      }
+    }
+
+    metadata.reviewStatus = report.needsReview ? 'pending_review' : 'final';
+    return metadata;
+  }
+
+  // Review prefix for uncertain reports, plus the values the storage key template draws on
+  _storageOptions(report, sourceName) {
+    return {
+      prefix: report.needsReview ? this.config.storage.reviewPrefix : '',
+      sourceFile: sourceName,
+      documentId: Logger.getContext().documentId
     };
   }
 
-  async _extractPageData(pdfDoc, totalPages) {
-    const pageDataArray = [];
+  _flagForReview(report, reason) {
+    report.needsReview = true;
+    report.reviewReasons = report.reviewReasons || [];
+    if (!report.reviewReasons.includes(reason)) {
+      report.reviewReasons.push(reason);
+    }
+  }
+
+  async _writePreviewFiles(patientReports, splitPlan, previewDir) {
+    const preview = new FileSystemStorage({ ...this.config, storage: { ...this.config.storage, outputDir: previewDir } });
+    const files = [];
+
+    for (const report of patientReports) {
+      const reportPdf = await this.pdfProcessor.createPDFFromPages(report.pages);
+      const metadata = this._extractReportMetadata(report);
+
+      // Previews of the same document replace each other
+      const result = await preview.uploadReport(reportPdf, metadata, report.reportIndex, { sourceFile: splitPlan.source, overwrite: true });
+      files.push(result.location);
+    }
+
+    await preview.uploadArtifact('split-plan.json', JSON.stringify(splitPlan, null, 2), 'application/json');
+    this.logger.info(`Wrote ${files.length} preview PDFs`, { dir: preview.outputDir });
+
+    return files;
+  }
+
+  async _extractPageData(pdfDoc, totalPages, job = null, { signal, onProgress } = {}) {
+    const pageIndexes = Array.from({ length: totalPages }, (_, i) => i);
+    const failedPages = [];
+    let done = 0;
 
-    for (let i = 0; i < totalPages; i++) {
+    const checkpoints = job ? await this.jobStore.loadPages(job.jobId) : new Map();
+    if (checkpoints.size > 0) {
+      this.logger.info(`${checkpoints.size} page(s) already extracted by an earlier attempt`);
+    }
+
+    const extracted = await mapWithConcurrency(pageIndexes, this.config.processing.pageConcurrency, async (i) => {
+      signal?.throwIfAborted();
       try {
         const pageBytes = await this.pdfProcessor.extractPageBytes(pdfDoc, i);
-        const extractedData = await this.textractService.extractData(pageBytes);
+        if (checkpoints.has(i)) {
+          return { ...checkpoints.get(i), bytes: pageBytes };
+        }
+
+        const { extractedData, provider } = await withRetry(
+          () => this._runOcr(pageBytes),
+          {
+            ...this.config.retry,
+            onRetry: (error, attempt, delay) => {
+              this.logger.warn(`Page ${i + 1} attempt ${attempt} failed, retrying in ${delay}ms`, { error });
+            }
+          }
+        );
+
+        this.logger.info(`Page ${i + 1} processed`, {
+          provider: provider.name,
+          cached: Boolean(extractedData.fromCache),
+          confidence: Number(extractedData.confidence.toFixed(1)),
+          kvPairs: Object.keys(extractedData.keyValuePairs).length,
+          tables: extractedData.tables.length
+        });
 
         const pageData = {
           index: i,
           bytes: pageBytes,
+          ocrProvider: provider.name,
           ...extractedData
         };
-
-        pageDataArray.push(pageData);
-
-        console.log(
-          `Page ${i + 1} processed - ` +
-          `Confidence: ${extractedData.confidence.toFixed(1)}% - ` +
-          `KV Pairs: ${Object.keys(extractedData.keyValuePairs).length} - ` +
-          `Tables: ${extractedData.tables.length}`
-        );
+        if (job) {
+          await this.jobStore.savePage(job.jobId, pageData);
+        }
+        return pageData;
       } catch (error) {
-        console.error(`Failed to process page ${i + 1}: ${error.message}`);
-        // Continue with other pages
+        this.logger.error(`Failed to process page ${i + 1}`, { error });
+        failedPages.push({
+          pageIndex: i,
+          pageNumber: i + 1,
+          error: error.message,
+          attempts: error.attempts || 1
+        });
+        return null;
+      } finally {
+        onProgress?.({ stage: 'pages', done: ++done, total: totalPages });
       }
-    }
+    });
+
+    const pageDataArray = extracted.filter(Boolean);
 
     if (pageDataArray.length === 0) {
       throw new Error("No pages could be processed successfully");
     }
 
-    return pageDataArray;
+    return {
+      pageDataArray,
+      failedPages: failedPages.sort((a, b) => a.pageIndex - b.pageIndex)
+    };
   }
 
-  async _processPatientReports(patientReports) {
-    const results = [];
+  _createCacheStore() {
+    if (!this.config.cache.enabled) return null;
+    return this.config.cache.store || new FileCacheStore(this.config.cache);
+  }
 
-    for (const report of patientReports) {
-      const reportIndex = report.reportIndex;
-      console.log(`Processing report ${reportIndex + 1}/${patientReports.length}...`);
+  _createOcrProvider() {
+    if (this.config.ocr.provider === 'text-layer') {
+      return new TextLayerService(this.config);
+    }
+    return this.textractService;
+  }
 
-      try {
-        // Create PDF for this patient (combining all their pages)
-        console.log(`   Combining ${report.pageCount} pages into single PDF for patient...`);
-        const reportPdf = await this.pdfProcessor.createPDFFromPages(report.pages);
-
-        // Extract metadata from first page
-        const metadata = this.metadataExtractor.extractMetadata(report.pages[0]);
-        metadata.pageCount = report.pageCount;
-
-        // Upload to S3
-        console.log(`   Uploading ${Math.round(reportPdf.length / 1024)}KB PDF to S3...`);
-        const uploadResult = await this.s3Service.uploadReport(reportPdf, metadata, reportIndex);
-
-        console.log(`Uploaded complete patient report: ${uploadResult.filename}`);
-        console.log(`   Patient: ${metadata.name || 'Unknown'}`);
-        console.log(`   DOB: ${metadata.dob || 'Unknown'}`);
-        console.log(`   ID: ${metadata.patientId || 'Unknown'}`);
-        console.log(`   Pages Combined: ${metadata.pageCount}`);
-        console.log(`   File Size: ${Math.round(uploadResult.size / 1024)}KB`);
-        console.log(`   Confidence: ${metadata.confidence?.toFixed(1)}% - Completeness: ${(metadata.completeness * 100).toFixed(1)}%`);
-
-        results.push({
-          reportIndex,
-          metadata,
-          uploadResult,
-          pageCount: report.pageCount,
-          success: true
-        });
+  _createStorageBackend() {
+    if (this.config.storage.backend === 'filesystem') {
+      return new FileSystemStorage(this.config);
+    }
+    return new S3Service(this.config);
+  }
 
-      } catch (error) {
-        console.error(`Failed to process report ${reportIndex + 1}:`, error.message);
-        results.push({
-          reportIndex,
-          error: error.message,
-          pageCount: report.pageCount,
-          success: false
+  // Run the configured provider, falling back to Textract for pages without usable text
+  async _runOcr(pageBytes) {
+    const extractedData = await this.ocrProvider.extractData(pageBytes);
+
+    const canFallBack = this.ocrProvider !== this.textractService && this.config.ocr.textractFallback;
+    if (canFallBack && !this.ocrProvider.hasUsableText(extractedData)) {
+      return {
+        extractedData: await this.textractService.extractData(pageBytes),
+        provider: this.textractService
+      };
+    }
+
+    return { extractedData, provider: this.ocrProvider };
+  }
+
+  async _exportFhirBundle(metadata, labResults, uploadResult) {
+    const bundle = this.fhirExporter.buildBundle({ metadata, labResults, uploadResult });
+    this.fhirExporter.validate(bundle);
+
+    const filename = this.storage.artifactFilename(uploadResult.filename, '.fhir.json');
+    const fhirResult = await this.storage.uploadArtifact(
+      filename,
+      JSON.stringify(bundle, null, 2),
+      'application/fhir+json'
+    );
+
+    this.logger.info(`FHIR Bundle written (${bundle.entry.length} resources)`, { filename: fhirResult.filename });
+    return fhirResult;
+  }
+
+  async _exportHl7Message(metadata, labResults, uploadResult) {
+    const { message, controlId } = this.hl7Serializer.serialize({ metadata, labResults, uploadResult });
+
+    const filename = this.storage.artifactFilename(uploadResult.filename, '.hl7');
+    const hl7Result = await this.storage.uploadArtifact(filename, message, 'x-application/hl7-v2+er7');
+    hl7Result.controlId = controlId;
+    this.logger.info('HL7 message written', { filename: hl7Result.filename, controlId });
+
+    if (this.mllpClient) {
+      const delivery = await this.mllpClient.send(message);
+      hl7Result.ackCode = delivery.ackCode;
+      this.logger.info('HL7 message delivered', {
+        host: this.mllpClient.host,
+        port: this.mllpClient.port,
+        ackCode: delivery.ackCode
+      });
+    }
+
+    return hl7Result;
+  }
+
+  async _processPatientReports(patientReports, sourceName, { manifest = null, decisions = [], job = null, signal, onProgress } = {}) {
+    const results = [];
+    const { documentId } = Logger.getContext();
+
+    for (const [index, report] of patientReports.entries()) {
+      signal?.throwIfAborted();
+
+      // Report log lines carry a reportId on top of the documentId
+      const reportId = `${documentId}:${report.reportIndex}`;
+      const pages = report.pages.map(page => page.index + 1);
+      const completed = this._completedJobReport(job, report.reportIndex, pages);
+      const result = await Logger.runWithContext({ reportId }, () => this._processPatientReport(report, patientReports.length, sourceName, decisions[index], completed));
+      results.push(result);
+
+      // Record progress as it happens, so a crash leaves an accurate manifest and job state behind
+      if (manifest) {
+        this._recordReport(decisions[index].entry, result);
+        await this.manifestStore.save(manifest);
+      }
+      if (job) {
+        await this.jobStore.recordReport(job, report.reportIndex, {
+          pages,
+          status: result.success ? 'uploaded' : 'failed',
+          filename: result.uploadResult?.filename || null,
+          size: result.uploadResult?.size ?? null,
+          sha256: result.sha256 || null,
+          error: result.error || null
         });
       }
+      onProgress?.({ stage: 'reports', done: index + 1, total: patientReports.length });
     }
 
     return results;
   }
+
+  // The job's record of this report when an earlier attempt uploaded exactly these pages
+  _completedJobReport(job, reportIndex, pages) {
+    const entry = job?.reports[reportIndex];
+    return entry?.status === 'uploaded' && entry.pages.join(',') === pages.join(',') ? entry : null;
+  }
+
+  _recordReport(entry, result) {
+    if (result.uploadResult) {
+      entry.key = result.uploadResult.filename;
+      entry.sha256 = result.sha256;
+      entry.size = result.uploadResult.size;
+    }
+    if (!result.skipped) {
+      entry.artifacts = [result.fhirResult?.filename, result.hl7Result?.filename].filter(Boolean);
+    }
+    entry.status = result.skipped ? 'skipped' : result.success ? 'uploaded' : 'failed';
+    entry.error = result.error || null;
+  }
+
+  async _processPatientReport(report, reportCount, sourceName, decision = null, completed = null) {
+    const reportIndex = report.reportIndex;
+    const logger = this.logger;
+    logger.info(`Processing report ${reportIndex + 1}/${reportCount}...`);
+
+    const earlier = completed
+      ? { reason: 'before the job was interrupted', filename: completed.filename, size: completed.size, sha256: completed.sha256 }
+      : decision?.skip
+        ? { reason: 'by an earlier run', filename: decision.entry.key, size: decision.entry.size, sha256: decision.entry.sha256 }
+        : null;
+    if (earlier) {
+      logger.info(`Report was already uploaded ${earlier.reason}, skipping`, { filename: earlier.filename });
+      return {
+        reportIndex,
+        skipped: true,
+        uploadResult: { filename: earlier.filename, size: earlier.size },
+        sha256: earlier.sha256,
+        needsReview: report.needsReview,
+        pageCount: report.pageCount,
+        success: true
+      };
+    }
+
+    let uploadResult = null;
+    let sha256 = null;
+
+    try {
+      // Create PDF for this patient (combining all their pages)
+      logger.debug(`Combining ${report.pageCount} pages into single PDF for patient...`);
+      const reportPdf = await this.pdfProcessor.createPDFFromPages(report.pages);
+
+      // Extract metadata from first page
+      const metadata = this._extractReportMetadata(report);
+
+      // Parse lab values from every page of the report
+      const labResults = this.labResultsExtractor.extractFromReport(report.pages);
+
+      // Hand off to the configured storage backend, low-confidence splits go to review
+      // An earlier run's key for the same report is overwritten in place
+      const uploadOptions = { ...this._storageOptions(report, sourceName), filename: decision?.filename || undefined };
+      sha256 = createHash('sha256').update(reportPdf).digest('hex');
+      logger.debug(`Uploading ${Math.round(reportPdf.length / 1024)}KB PDF via ${this.storage.name}${report.needsReview ? ' for review' : ''}...`);
+      uploadResult = await this.storage.uploadReport(reportPdf, metadata, reportIndex, uploadOptions);
+
+      logger.info('Uploaded complete patient report', {
+        filename: uploadResult.filename,
+        name: metadata.name,
+        dob: metadata.dob,
+        patientId: metadata.patientId,
+        pages: metadata.pageCount,
+        sizeKb: Math.round(uploadResult.size / 1024),
+        confidence: Number(metadata.confidence?.toFixed(1)),
+        completeness: Number((metadata.completeness * 100).toFixed(1)),
+        labResults: labResults.length,
+        abnormalResults: labResults.filter(r => r.isAbnormal).length,
+        splitConfidence: Number(report.splitConfidence.toFixed(2)),
+        reviewReasons: report.needsReview ? report.reviewReasons : undefined
+      });
+
+      // Reports held for review are not final, so nothing is sent downstream yet
+      const fhirResult = this.config.fhir.enabled && !report.needsReview
+        ? await this._exportFhirBundle(metadata, labResults, uploadResult)
+        : null;
+      const hl7Result = this.config.hl7.enabled && !report.needsReview
+        ? await this._exportHl7Message(metadata, labResults, uploadResult)
+        : null;
+
+      return {
+        reportIndex,
+        metadata,
+        labResults,
+        uploadResult,
+        sha256,
+        fhirResult,
+        hl7Result,
+        needsReview: report.needsReview,
+        pageCount: report.pageCount,
+        success: true
+      };
+
+    } catch (error) {
+      logger.error(`Failed to process report ${reportIndex + 1}`, { error });
+      return {
+        reportIndex,
+        // Kept when the PDF went up but a later step failed, so a re-run overwrites it
+        uploadResult,
+        sha256,
+        error: error.message,
+        pageCount: report.pageCount,
+        success: false
+      };
+    }
+  }
 }
\ No newline at end of file
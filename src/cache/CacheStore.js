@@ -0,0 +1,27 @@
+/**
+ * Base class for cache stores.
+ *
+ * Implementations resolve get(key) to the stored value or null (expired entries count as misses),
+ * and provide set(key, value), delete(key) and clear().
+ */
+export class CacheStore {
+  get name() {
+    return this.constructor.name;
+  }
+
+  async get(key) {
+    throw new Error(`${this.name} does not implement get`);
+  }
+
+  async set(key, value) {
+    throw new Error(`${this.name} does not implement set`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.name} does not implement delete`);
+  }
+
+  async clear() {
+    throw new Error(`${this.name} does not implement clear`);
+  }
+}
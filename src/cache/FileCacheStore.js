@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+import { CacheStore } from "./CacheStore.js";
+
+/**
+ * On-disk cache store with TTL expiry and a total size limit
+ */
+export class FileCacheStore extends CacheStore {
+  constructor(options) {
+    super();
+    this.dir = path.resolve(options.dir);
+    this.ttlMs = options.ttlMs;
+    this.maxSizeBytes = options.maxSizeBytes;
+  }
+
+  async get(key) {
+    const filePath = this._path(key);
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // A truncated or corrupt entry is treated as a miss and replaced on the next set
+      await this.delete(key);
+      return null;
+    }
+
+    if (this.ttlMs && Date.now() - entry.createdAt > this.ttlMs) {
+      await this.delete(key);
+      return null;
+    }
+
+    // Touch the entry so size-based eviction drops the least recently used first
+    const now = new Date();
+    await fs.promises.utimes(filePath, now, now).catch(() => {});
+
+    return entry.value;
+  }
+
+  async set(key, value) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const filePath = this._path(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ createdAt: Date.now(), value }));
+    await fs.promises.rename(tempPath, filePath);
+
+    await this._enforceSizeLimit();
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this._path(key), { force: true });
+  }
+
+  async clear() {
+    const entries = await this._listEntries();
+    await Promise.all(entries.map(entry => fs.promises.rm(entry.path, { force: true })));
+    return entries.length;
+  }
+
+  _path(key) {
+    if (!/^[\w-]+$/.test(key)) {
+      throw new Error(`Invalid cache key: ${key}`);
+    }
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async _listEntries() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = await Promise.all(
+      names
+        .filter(name => name.endsWith('.json'))
+        .map(async name => {
+          const entryPath = path.join(this.dir, name);
+          const stats = await fs.promises.stat(entryPath).catch(() => null);
+          return stats ? { path: entryPath, size: stats.size, mtimeMs: stats.mtimeMs } : null;
+        })
+    );
+
+    return entries.filter(Boolean);
+  }
+
+  async _enforceSizeLimit() {
+    if (!this.maxSizeBytes) return;
+
+    const entries = await this._listEntries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= this.maxSizeBytes) return;
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const entry of entries) {
+      if (total <= this.maxSizeBytes) break;
+      await fs.promises.rm(entry.path, { force: true });
+      total -= entry.size;
+    }
+  }
+}
@@ -10,11 +10,224 @@ export class Config {
 
     this.textract = {
       featureTypes: ["FORMS", "TABLES"],
-      confidenceThreshold: 80
+      confidenceThreshold: 80,
+      // Ask Textract for identifiers directly; answers win over form keys and tables.
+      // Off by default: the Queries feature is billed per page on top of FORMS and TABLES
+      useQueries: false,
+      // `field` is the metadata field the answer fills and doubles as the query alias
+      queries: [
+        { field: "name", text: "What is the patient's name?" },
+        { field: "dob", text: "What is the patient's date of birth?" },
+        { field: "patientId", text: "What is the patient's MRN or patient ID?" },
+        { field: "collectionDate", text: "When was the specimen collected?" },
+        { field: "accessionNumber", text: "What is the accession number?" }
+      ],
+      // Query answers below this confidence are ignored
+      queryConfidenceThreshold: 50
+    };
+
+    this.ocr = {
+      // 'textract' or 'text-layer' (embedded PDF text, no AWS calls)
+      provider: "textract",
+      // Send pages without a usable text layer to Textract
+      textractFallback: true,
+      // Minimum non-whitespace characters for a page's text to count as usable
+      minTextLength: 20
+    };
+
+    this.cache = {
+      // Reuse Textract responses for identical page bytes
+      enabled: true,
+      dir: ".cache/textract",
+      ttlMs: 30 * 24 * 60 * 60 * 1000,
+      maxSizeBytes: 500 * 1024 * 1024,
+      // Custom CacheStore instance; defaults to a FileCacheStore in `dir`
+      store: null
+    };
+
+    this.storage = {
+      // 's3' or 'filesystem'
+      backend: "s3",
+      // Target directory for the filesystem backend
+      outputDir: "processed-reports",
+      // Prefix (S3) or subfolder (filesystem) for reports held for human review
+      reviewPrefix: "review/",
+      // Object key / relative path per report. Placeholders: {date} {yyyy} {mm} {dd}
+      // {mrnHash} {sourceFile} {documentId} {reportIndex} {uuid}. Keep {documentId} or {uuid} in it:
+      // reports are never written over an existing key, so a template that repeats keys fails uploads
+      keyTemplate: "{yyyy}/{mm}/{sourceFile}_{documentId}_{reportIndex}_{mrnHash}.pdf",
+      // HMAC secret for identifier pseudonyms; without it hashes are unkeyed SHA-256
+      pseudonymKey: null,
+      // Patient identifiers in object metadata: 'pseudonym', 'omit' or 'plain'
+      metadataIdentifiers: "pseudonym"
+    };
+
+    this.s3 = {
+      // 'AES256', 'aws:kms' or null to rely on the bucket default
+      serverSideEncryption: "AES256",
+      // KMS key ID or ARN for 'aws:kms'; the account's aws/s3 key when null
+      kmsKeyId: null,
+      storageClass: "STANDARD",
+      // Tag report objects with source document, split confidence and review status
+      tagging: true,
+      // Objects larger than this go up in parts of partSize bytes (S3 minimum 5 MB)
+      multipartThreshold: 16 * 1024 * 1024,
+      partSize: 8 * 1024 * 1024,
+      partConcurrency: 4
+    };
+
+    this.idempotency = {
+      // Record every run in a manifest keyed by the source PDF's SHA-256
+      enabled: true,
+      // Re-runs of a known document: 'skip' reports already uploaded, or 'overwrite' them in place
+      policy: "skip",
+      // Where manifests are stored, next to the reports
+      manifestPrefix: "manifests/"
+    };
+
+    this.jobs = {
+      // Checkpoint extracted pages and uploaded reports so an interrupted run can be resumed
+      enabled: true,
+      stateDir: ".jobs",
+      // Completed jobs are deleted; their checkpoints hold extracted PHI
+      keepCompleted: false
+    };
+
+    this.server = {
+      host: "127.0.0.1",
+      port: 3000,
+      // Largest accepted upload (raw or multipart body)
+      maxBodyBytes: 100 * 1024 * 1024,
+      // Accepted X-API-Key / Bearer tokens
+      apiKeys: [],
+      // Custom auth hook, async (req) => boolean; replaces the API key check when set
+      authenticate: null,
+      // Documents processed at the same time; the rest wait in the queue
+      concurrency: 2,
+      // Uploaded PDFs wait here until their job is done
+      uploadDir: ".uploads",
+      // How long finished jobs and their results stay queryable
+      jobRetentionMs: 24 * 60 * 60 * 1000
+    };
+
+    this.watch = {
+      // Hot folder polled by the watch command
+      dir: null,
+      // Where sources end up after a run, relative to dir
+      processedDir: "processed",
+      failedDir: "failed",
+      // File names picked up ('*' and '?' wildcards, case-insensitive)
+      patterns: ["*.pdf"],
+      pollIntervalMs: 2000,
+      // A file is processed once its size and mtime have not changed for this long
+      stableMs: 5000,
+      // Documents processed at the same time
+      concurrency: 1
+    };
+
+    this.fhir = {
+      // Write a FHIR R4 Bundle next to each report
+      enabled: false,
+      // Identifier system for the MRN on the Patient resource
+      identifierSystem: "urn:mrn"
+    };
+
+    this.hl7 = {
+      // Write an HL7 v2 ORU^R01 message next to each report
+      enabled: false,
+      sendingApplication: "REPORT-PROCESSOR",
+      sendingFacility: "",
+      receivingApplication: "",
+      receivingFacility: "",
+      processingId: "P",
+      version: "2.5.1",
+      mllp: {
+        // Also deliver each message to an MLLP listener
+        enabled: false,
+        host: "localhost",
+        port: 2575,
+        timeoutMs: 10000
+      }
+    };
+
+    this.retry = {
+      // Total attempts per page, including the first
+      maxAttempts: 4,
+      baseDelayMs: 500,
+      maxDelayMs: 10000
+    };
+
+    this.logging = {
+      // 'debug' | 'info' | 'warn' | 'error' | 'silent'
+      level: "info",
+      // 'text' for terminals, 'json' (one object per line, with correlation IDs) for log aggregators
+      format: "text",
+      // PHI fields are replaced with '[REDACTED]' ('mask') or a keyed hash ('hash') that still correlates
+      redaction: "mask",
+      // HMAC key for 'hash' redaction; random per process when unset
+      hashKey: null,
+      // Field names treated as PHI; null uses the logger's defaults
+      phiFields: null,
+      // Opt-in for local debugging only: log PHI in clear text
+      showPhi: false,
+      // Custom logger instance (debug/info/warn/error/child); built from the options above when null
+      logger: null
+    };
+
+    this.dates = {
+      // 'MDY' (US) or 'DMY': how to read numeric dates like 01/02/1980 when either part could be the month
+      dayMonthOrder: "MDY",
+      // Two-digit years up to this value are 20xx, later ones 19xx (birth dates never land in the future)
+      twoDigitYearCutoff: 49,
+      // Birth dates implying an older patient are rejected as misreads
+      maxAgeYears: 130
+    };
+
+    this.mpi = {
+      // CSV or JSON export of the master patient index; matching is off without one
+      indexPath: null,
+      // Index columns read for each field, compared case-insensitively
+      columns: {
+        patientId: ["mrn", "patient_id", "patientid", "medical_record_number", "id"],
+        name: ["name", "patient_name", "full_name"],
+        firstName: ["first_name", "given_name", "firstname"],
+        lastName: ["last_name", "family_name", "surname", "lastname"],
+        dob: ["dob", "date_of_birth", "birth_date", "birthdate"],
+        sex: ["sex", "gender"]
+      },
+      // Fill in missing and replace misread identifiers from the index on a match
+      correctFields: true,
+      // Also hold reports whose patient is not in the index for review
+      reviewOnNoMatch: false
+    };
+
+    this.metadata = {
+      // Extra fields by name: { aliases, type: 'name' | 'date' | 'id' | 'enum' | 'text', values, normalize, validate, identifying }
+      // Stored per storage.metadataIdentifiers like the built-in identifiers unless identifying is false
+      customFields: {}
     };
 
     this.processing = {
+      // 'contiguous' splits runs of pages; 'patient' regroups interleaved pages per patient
+      groupingMode: "contiguous",
+      // Contiguous mode only
       maxPagesPerPatient: 10,
+      // Reports whose split confidence falls below this go to the review prefix
+      reviewThreshold: 0.6,
+      // Name similarity (0-1) at which two names are the same patient
+      nameMatchThreshold: 0.85,
+      // Lower name similarity still accepted when the DOBs agree
+      nameTieBreakThreshold: 0.6,
+      // Edits tolerated between two IDs before they count as different (DOB/name break the tie)
+      idMaxEditDistance: 1,
+      // Pages with at most this many non-whitespace characters are dropped as blank
+      blankMaxChars: 10,
+      // Text (case-insensitive) or RegExp marking a separator sheet between patients
+      separatorMarkers: ["patient separator", "separator sheet", "batch separator"],
+      // Separator sheets are sparse; pages with more lines are kept even if they mention a marker
+      separatorMaxLines: 8,
+      // Pages analyzed in parallel
+      pageConcurrency: 4,
       supportedFormats: ['.pdf']
     };
   }
@@ -27,6 +240,53 @@ export class Config {
     if (customConfig.textract) {
       Object.assign(this.textract, customConfig.textract);
     }
+    if (customConfig.ocr) {
+      Object.assign(this.ocr, customConfig.ocr);
+    }
+    if (customConfig.cache) {
+      Object.assign(this.cache, customConfig.cache);
+    }
+    if (customConfig.storage) {
+      Object.assign(this.storage, customConfig.storage);
+    }
+    if (customConfig.s3) {
+      Object.assign(this.s3, customConfig.s3);
+    }
+    if (customConfig.idempotency) {
+      Object.assign(this.idempotency, customConfig.idempotency);
+    }
+    if (customConfig.jobs) {
+      Object.assign(this.jobs, customConfig.jobs);
+    }
+    if (customConfig.server) {
+      Object.assign(this.server, customConfig.server);
+    }
+    if (customConfig.watch) {
+      Object.assign(this.watch, customConfig.watch);
+    }
+    if (customConfig.fhir) {
+      Object.assign(this.fhir, customConfig.fhir);
+    }
+    if (customConfig.hl7) {
+      const { mllp, ...hl7 } = customConfig.hl7;
+      Object.assign(this.hl7, hl7);
+      if (mllp) Object.assign(this.hl7.mllp, mllp);
+    }
+    if (customConfig.retry) {
+      Object.assign(this.retry, customConfig.retry);
+    }
+    if (customConfig.logging) {
+      Object.assign(this.logging, customConfig.logging);
+    }
+    if (customConfig.dates) {
+      Object.assign(this.dates, customConfig.dates);
+    }
+    if (customConfig.mpi) {
+      Object.assign(this.mpi, customConfig.mpi);
+    }
+    if (customConfig.metadata) {
+      Object.assign(this.metadata, customConfig.metadata);
+    }
     if (customConfig.processing) {
       Object.assign(this.processing, customConfig.processing);
     }
@@ -35,7 +295,75 @@ export class Config {
 
   // Validation method
   validate() {
-    const required = ['AWS_REGION', 'S3_BUCKET_NAME'];
+    const ocrProviders = ['textract', 'text-layer'];
+    if (!ocrProviders.includes(this.ocr.provider)) {
+      throw new Error(`Unsupported OCR provider: ${this.ocr.provider}. Supported providers: ${ocrProviders.join(', ')}`);
+    }
+
+    const storageBackends = ['s3', 'filesystem'];
+    if (!storageBackends.includes(this.storage.backend)) {
+      throw new Error(`Unsupported storage backend: ${this.storage.backend}. Supported backends: ${storageBackends.join(', ')}`);
+    }
+
+    const duplicatePolicies = ['skip', 'overwrite'];
+    if (!duplicatePolicies.includes(this.idempotency.policy)) {
+      throw new Error(`Unsupported duplicate policy: ${this.idempotency.policy}. Supported policies: ${duplicatePolicies.join(', ')}`);
+    }
+
+    const encryptionModes = ['AES256', 'aws:kms'];
+    if (this.s3.serverSideEncryption && !encryptionModes.includes(this.s3.serverSideEncryption)) {
+      throw new Error(`Unsupported S3 server-side encryption: ${this.s3.serverSideEncryption}. Supported: ${encryptionModes.join(', ')}`);
+    }
+    if (this.s3.kmsKeyId && this.s3.serverSideEncryption !== 'aws:kms') {
+      throw new Error("s3.kmsKeyId requires s3.serverSideEncryption 'aws:kms'");
+    }
+    const storageClasses = ['STANDARD', 'STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE', 'REDUCED_REDUNDANCY'];
+    if (this.s3.storageClass && !storageClasses.includes(this.s3.storageClass)) {
+      throw new Error(`Unsupported S3 storage class: ${this.s3.storageClass}. Supported classes: ${storageClasses.join(', ')}`);
+    }
+    if (this.s3.partSize < 5 * 1024 * 1024) {
+      throw new Error("s3.partSize must be at least 5 MB");
+    }
+
+    if (!Array.isArray(this.watch.patterns) || this.watch.patterns.length === 0) {
+      throw new Error("watch.patterns must list at least one file pattern");
+    }
+    if (!(this.watch.pollIntervalMs > 0)) {
+      throw new Error("watch.pollIntervalMs must be a positive number");
+    }
+
+    const identifierModes = ['pseudonym', 'omit', 'plain'];
+    if (!identifierModes.includes(this.storage.metadataIdentifiers)) {
+      throw new Error(`Unsupported metadata identifier mode: ${this.storage.metadataIdentifiers}. Supported modes: ${identifierModes.join(', ')}`);
+    }
+
+    const groupingModes = ['contiguous', 'patient'];
+    if (!groupingModes.includes(this.processing.groupingMode)) {
+      throw new Error(`Unsupported grouping mode: ${this.processing.groupingMode}. Supported modes: ${groupingModes.join(', ')}`);
+    }
+
+    const logFormats = ['text', 'json'];
+    if (!logFormats.includes(this.logging.format)) {
+      throw new Error(`Unsupported log format: ${this.logging.format}. Supported formats: ${logFormats.join(', ')}`);
+    }
+
+    const redactionModes = ['mask', 'hash'];
+    if (!redactionModes.includes(this.logging.redaction)) {
+      throw new Error(`Unsupported redaction mode: ${this.logging.redaction}. Supported modes: ${redactionModes.join(', ')}`);
+    }
+
+    const dayMonthOrders = ['MDY', 'DMY'];
+    if (!dayMonthOrders.includes(this.dates.dayMonthOrder)) {
+      throw new Error(`Unsupported day/month order: ${this.dates.dayMonthOrder}. Supported orders: ${dayMonthOrders.join(', ')}`);
+    }
+
+    // AWS settings are only needed when an AWS service may be called
+    const usesS3 = this.storage.backend === 's3';
+    const usesTextract = this.ocr.provider === 'textract' || this.ocr.textractFallback;
+    const required = [];
+    if (usesS3 || usesTextract) required.push('AWS_REGION');
+    if (usesS3) required.push('S3_BUCKET_NAME');
+
     const missing = required.filter(key => !process.env[key] && !this.aws[key.toLowerCase().replace('_', '')]);
 
     if (missing.length > 0) {
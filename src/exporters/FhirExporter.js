@@ -0,0 +1,252 @@
+import { randomUUID } from "crypto";
+import { DateNormalizer } from "../utils/DateNormalizer.js";
+
+const LOINC_LAB_REPORT = {
+  system: 'http://loinc.org',
+  code: '11502-2',
+  display: 'Laboratory report'
+};
+
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+
+/**
+ * FHIR R4 Bundle export for split patient reports
+ */
+export class FhirExporter {
+  constructor(config) {
+    this.identifierSystem = config.fhir.identifierSystem;
+    this.dateNormalizer = new DateNormalizer(config);
+  }
+
+  // Build a collection Bundle for one processed patient report
+  buildBundle({ metadata, labResults = [], uploadResult }) {
+    if (!metadata) {
+      throw new Error("Metadata is required for FHIR export");
+    }
+    if (!uploadResult?.location) {
+      throw new Error("Upload location is required for FHIR export");
+    }
+
+    const issued = new Date().toISOString();
+    // Results are clinically effective when the specimen was collected, not when this ran
+    const effective = this.dateNormalizer.normalize(metadata.collectionDate);
+    const patientEntry = this._entry(this._buildPatient(metadata));
+    const subject = { reference: patientEntry.fullUrl };
+
+    const observationEntries = labResults.map(result =>
+      this._entry(this._buildObservation(result, subject, issued, effective))
+    );
+    const documentEntry = this._entry(this._buildDocumentReference(uploadResult, subject, issued));
+    const reportEntry = this._entry(
+      this._buildDiagnosticReport(subject, issued, effective, observationEntries, uploadResult)
+    );
+
+    return {
+      resourceType: 'Bundle',
+      id: randomUUID(),
+      type: 'collection',
+      timestamp: issued,
+      entry: [patientEntry, reportEntry, documentEntry, ...observationEntries]
+    };
+  }
+
+  // Structural validation of the bundle; throws with every problem found
+  validate(bundle) {
+    const errors = [];
+
+    if (bundle?.resourceType !== 'Bundle') errors.push('resourceType must be Bundle');
+    if (!bundle?.type) errors.push('Bundle.type is required');
+    if (!Array.isArray(bundle?.entry)) errors.push('Bundle.entry must be an array');
+
+    const fullUrls = new Set();
+    (bundle?.entry || []).forEach((entry, index) => {
+      if (!entry.fullUrl) errors.push(`entry[${index}].fullUrl is required`);
+      if (fullUrls.has(entry.fullUrl)) errors.push(`entry[${index}].fullUrl is duplicated`);
+      fullUrls.add(entry.fullUrl);
+      if (!entry.resource?.resourceType) errors.push(`entry[${index}].resource.resourceType is required`);
+    });
+
+    (bundle?.entry || []).forEach((entry, index) => {
+      const resource = entry.resource || {};
+      const at = `entry[${index}] ${resource.resourceType}`;
+
+      switch (resource.resourceType) {
+        case 'Patient':
+          if (!resource.identifier?.length && !resource.name?.length) {
+            errors.push(`${at} needs an identifier or a name`);
+          }
+          if (resource.birthDate && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(resource.birthDate)) {
+            errors.push(`${at}.birthDate must be YYYY, YYYY-MM or YYYY-MM-DD`);
+          }
+          break;
+        case 'DiagnosticReport':
+        case 'Observation':
+          if (!resource.status) errors.push(`${at}.status is required`);
+          if (!resource.code) errors.push(`${at}.code is required`);
+          break;
+        case 'DocumentReference':
+          if (!resource.status) errors.push(`${at}.status is required`);
+          if (!resource.content?.length || !resource.content.every(c => c.attachment)) {
+            errors.push(`${at}.content.attachment is required`);
+          }
+          break;
+      }
+
+      this._collectReferences(resource).forEach(reference => {
+        if (!fullUrls.has(reference)) errors.push(`${at} references unknown resource ${reference}`);
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid FHIR bundle: ${errors.join('; ')}`);
+    }
+
+    return true;
+  }
+
+  _entry(resource) {
+    return { fullUrl: `urn:uuid:${resource.id}`, resource };
+  }
+
+  _buildPatient(metadata) {
+    const patient = { resourceType: 'Patient', id: randomUUID() };
+
+    if (metadata.patientId) {
+      patient.identifier = [{
+        type: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR' }]
+        },
+        system: this.identifierSystem,
+        value: metadata.patientId
+      }];
+    }
+
+    if (metadata.name) {
+      patient.name = [this._buildHumanName(metadata.name)];
+    }
+
+    const birthDate = this.dateNormalizer.normalize(metadata.dob, { kind: 'birth' });
+    if (birthDate) {
+      patient.birthDate = birthDate;
+    }
+
+    return patient;
+  }
+
+  _buildHumanName(name) {
+    // "SMITH, JOHN A" lists the family name first
+    if (name.includes(',')) {
+      const [family, given] = name.split(',').map(part => part.trim());
+      return { text: name, family, given: given ? given.split(/\s+/) : undefined };
+    }
+
+    const parts = name.trim().split(/\s+/);
+    if (parts.length === 1) {
+      return { text: name, family: parts[0] };
+    }
+    return { text: name, family: parts[parts.length - 1], given: parts.slice(0, -1) };
+  }
+
+  _buildDiagnosticReport(subject, issued, effective, observationEntries, uploadResult) {
+    const report = {
+      resourceType: 'DiagnosticReport',
+      id: randomUUID(),
+      status: 'final',
+      category: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: 'LAB', display: 'Laboratory' }]
+      }],
+      code: { coding: [LOINC_LAB_REPORT], text: LOINC_LAB_REPORT.display },
+      subject,
+      issued,
+      presentedForm: [{ contentType: 'application/pdf', url: uploadResult.location, title: uploadResult.filename }]
+    };
+
+    if (effective) {
+      report.effectiveDateTime = effective;
+    }
+
+    if (observationEntries.length > 0) {
+      report.result = observationEntries.map(entry => ({ reference: entry.fullUrl }));
+    }
+
+    return report;
+  }
+
+  _buildDocumentReference(uploadResult, subject, issued) {
+    return {
+      resourceType: 'DocumentReference',
+      id: randomUUID(),
+      status: 'current',
+      type: { coding: [LOINC_LAB_REPORT] },
+      subject,
+      date: issued,
+      content: [{
+        attachment: {
+          contentType: 'application/pdf',
+          url: uploadResult.location,
+          size: uploadResult.size,
+          title: uploadResult.filename
+        }
+      }]
+    };
+  }
+
+  _buildObservation(result, subject, issued, effective) {
+    const observation = {
+      resourceType: 'Observation',
+      id: randomUUID(),
+      status: 'final',
+      category: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory' }]
+      }],
+      code: { text: result.test },
+      subject,
+      issued
+    };
+
+    if (effective) {
+      observation.effectiveDateTime = effective;
+    }
+
+    if (result.value !== null) {
+      observation.valueQuantity = { value: result.value };
+      if (result.units) observation.valueQuantity.unit = result.units;
+      if (result.comparator) observation.valueQuantity.comparator = result.comparator;
+    } else {
+      observation.valueString = result.valueText;
+    }
+
+    if (result.referenceRange) {
+      const range = { text: result.referenceRange.text };
+      const unit = result.referenceRange.units || result.units;
+      if (result.referenceRange.low !== null) range.low = this._quantity(result.referenceRange.low, unit);
+      if (result.referenceRange.high !== null) range.high = this._quantity(result.referenceRange.high, unit);
+      observation.referenceRange = [range];
+    }
+
+    if (result.flag) {
+      observation.interpretation = [{ coding: [{ system: INTERPRETATION_SYSTEM, code: result.flag }] }];
+    }
+
+    return observation;
+  }
+
+  _quantity(value, unit) {
+    return unit ? { value, unit } : { value };
+  }
+
+  _collectReferences(value, found = []) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this._collectReferences(item, found));
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (key === 'reference' && typeof child === 'string') {
+          found.push(child);
+        } else {
+          this._collectReferences(child, found);
+        }
+      }
+    }
+    return found;
+  }
+}
@@ -0,0 +1,189 @@
+import { randomUUID } from "crypto";
+import { DateNormalizer } from "../utils/DateNormalizer.js";
+
+const SEGMENT_SEPARATOR = '\r';
+
+/**
+ * HL7 v2 ORU^R01 serialization for processed patient reports
+ */
+export class Hl7Serializer {
+  constructor(config) {
+    this.sendingApplication = config.hl7.sendingApplication;
+    this.sendingFacility = config.hl7.sendingFacility;
+    this.receivingApplication = config.hl7.receivingApplication;
+    this.receivingFacility = config.hl7.receivingFacility;
+    this.processingId = config.hl7.processingId;
+    this.version = config.hl7.version;
+    this.dateNormalizer = new DateNormalizer(config);
+  }
+
+  // Build an ORU^R01 message; returns { message, controlId }
+  serialize({ metadata, labResults = [], uploadResult }) {
+    if (!metadata) {
+      throw new Error("Metadata is required for HL7 serialization");
+    }
+    if (!uploadResult?.location) {
+      throw new Error("Upload location is required for HL7 serialization");
+    }
+
+    const now = this._formatTimestamp(new Date());
+    const controlId = randomUUID().replace(/-/g, '').substring(0, 20);
+
+    const segments = [
+      this._buildMSH(now, controlId),
+      this._buildPID(metadata),
+      this._buildOBR(metadata, uploadResult, now),
+      this._buildDocumentOBX(1, uploadResult),
+      ...labResults.map((result, index) => this._buildResultOBX(index + 2, result))
+    ];
+
+    return {
+      message: segments.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR,
+      controlId
+    };
+  }
+
+  // Escape HL7 delimiters inside a field value
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/\\/g, '\\E\\')
+      .replace(/\|/g, '\\F\\')
+      .replace(/\^/g, '\\S\\')
+      .replace(/&/g, '\\T\\')
+      .replace(/~/g, '\\R\\')
+      .replace(/\r/g, '\\X0D\\')
+      .replace(/\n/g, '\\X0A\\');
+  }
+
+  _segment(name, fields) {
+    return [name, ...fields].join('|');
+  }
+
+  // Join already escaped components with the component separator
+  _components(...components) {
+    return components.join('^').replace(/\^+$/, '');
+  }
+
+  _buildMSH(timestamp, controlId) {
+    // MSH-1 is the field separator itself, so MSH-2 directly follows the segment name
+    return [
+      'MSH',
+      '^~\\&',
+      this.escape(this.sendingApplication),
+      this.escape(this.sendingFacility),
+      this.escape(this.receivingApplication),
+      this.escape(this.receivingFacility),
+      timestamp,
+      '',
+      'ORU^R01^ORU_R01',
+      controlId,
+      this.escape(this.processingId),
+      this.escape(this.version)
+    ].join('|');
+  }
+
+  _buildPID(metadata) {
+    const identifier = metadata.patientId
+      ? this._components(this.escape(metadata.patientId), '', '', this.escape(this.sendingFacility), 'MR')
+      : '';
+    const { family, given, middle } = this._splitName(metadata.name);
+
+    return this._segment('PID', [
+      '1',
+      '',
+      identifier,
+      '',
+      this._components(this.escape(family), this.escape(given), this.escape(middle)),
+      '',
+      this._toHl7Date(metadata.dob, 'birth')
+    ]);
+  }
+
+  // OBR-7 is the specimen collection time (left empty when unknown), OBR-22 when results were reported
+  _buildOBR(metadata, uploadResult, timestamp) {
+    const fields = new Array(25).fill('');
+    fields[0] = '1';
+    fields[2] = this.escape(uploadResult.filename);
+    fields[3] = '11502-2^Laboratory report^LN';
+    fields[6] = this._toHl7Date(metadata.collectionDate);
+    fields[21] = timestamp;
+    fields[24] = 'F';
+    return this._segment('OBR', fields);
+  }
+
+  _buildDocumentOBX(setId, uploadResult) {
+    return this._segment('OBX', [
+      String(setId),
+      'RP',
+      '11502-2^Laboratory report^LN',
+      '',
+      this._components(this.escape(uploadResult.location), '', 'AP', 'PDF'),
+      '',
+      '',
+      '',
+      '',
+      '',
+      'F'
+    ]);
+  }
+
+  _buildResultOBX(setId, result) {
+    let valueType = 'ST';
+    let value = this.escape(result.valueText);
+
+    if (result.value !== null && result.comparator) {
+      valueType = 'SN';
+      value = this._components(this.escape(result.comparator), String(result.value));
+    } else if (result.value !== null) {
+      valueType = 'NM';
+      value = String(result.value);
+    }
+
+    return this._segment('OBX', [
+      String(setId),
+      valueType,
+      this._components('', this.escape(result.test)),
+      '',
+      value,
+      this.escape(result.units),
+      this.escape(result.referenceRange?.text),
+      this.escape(result.flag),
+      '',
+      '',
+      'F'
+    ]);
+  }
+
+  _splitName(name) {
+    if (!name) return { family: '', given: '', middle: '' };
+
+    let family;
+    let givenParts;
+    if (name.includes(',')) {
+      const [last, rest = ''] = name.split(',').map(part => part.trim());
+      family = last;
+      givenParts = rest.split(/\s+/).filter(Boolean);
+    } else {
+      const parts = name.trim().split(/\s+/);
+      family = parts.length > 1 ? parts.pop() : parts[0];
+      givenParts = parts.length > 0 && parts[0] !== family ? parts : [];
+    }
+
+    return {
+      family,
+      given: givenParts[0] || '',
+      middle: givenParts.slice(1).join(' ')
+    };
+  }
+
+  _formatTimestamp(date) {
+    return date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+  }
+
+  // HL7 DT is YYYYMMDD
+  _toHl7Date(value, kind) {
+    const iso = this.dateNormalizer.normalize(value, { kind });
+    return iso ? iso.replace(/-/g, '') : '';
+  }
+}
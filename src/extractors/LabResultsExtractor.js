@@ -0,0 +1,248 @@
+/**
+ * Structured lab result extraction from Textract tables
+ */
+export class LabResultsExtractor {
+  constructor(config) {
+    this.columnAliases = {
+      test: ['test name', 'test', 'analyte', 'component', 'description', 'procedure', 'exam'],
+      result: ['result', 'results', 'value', 'observed', 'observation'],
+      units: ['units', 'unit', 'uom'],
+      referenceRange: ['reference range', 'ref range', 'reference interval', 'normal range', 'reference', 'range'],
+      flag: ['flag', 'abnormal flag', 'status', 'h/l', 'interpretation', 'abnormal']
+    };
+
+    this.flagMappings = {
+      normal: 'N', n: 'N', wnl: 'N',
+      high: 'H', h: 'H',
+      low: 'L', l: 'L',
+      abnormal: 'A', a: 'A',
+      'critical high': 'HH', 'panic high': 'HH', hh: 'HH', 'h*': 'HH',
+      'critical low': 'LL', 'panic low': 'LL', ll: 'LL', 'l*': 'LL',
+      critical: 'AA', panic: 'AA', aa: 'AA'
+    };
+  }
+
+  // Extract analyte records from every results table on a single page
+  extractResults(pageData) {
+    if (!pageData) {
+      throw new Error("No page data provided for lab result extraction");
+    }
+
+    return this._extractTables(pageData).flatMap(table => table.results);
+  }
+
+  // Merge results across all pages of a patient report, keeping page order
+  extractFromReport(pages) {
+    if (!Array.isArray(pages) || pages.length === 0) {
+      throw new Error("Report pages are required for lab result extraction");
+    }
+
+    const merged = [];
+    // Last results table seen, as { pageIndex, header, keys }
+    let previous = null;
+
+    pages.forEach(page => {
+      this._extractTables(page).forEach(table => {
+        // A table continued on the next page under the same header often repeats rows from before the break;
+        // the same test and value elsewhere in the report is a separate result (e.g. a repeat draw)
+        const continues = previous && page.index === previous.pageIndex + 1 && table.header === previous.header;
+        const results = continues
+          ? table.results.filter(result => !previous.keys.has(this._rowKey(result)))
+          : table.results;
+        merged.push(...results);
+
+        previous = { pageIndex: page.index, header: table.header, keys: new Set(table.results.map(result => this._rowKey(result))) };
+      });
+    });
+
+    return merged;
+  }
+
+  // Whether a table has a results header row, i.e. holds analyte rows rather than report details
+  isResultsTable(table) {
+    return Boolean(table?.rows && table.rows.length >= 2 && this._findHeaderRow(table.rows));
+  }
+
+  // Allow custom header aliases per column
+  setColumnAliases(customAliases) {
+    for (const [column, aliases] of Object.entries(customAliases)) {
+      if (!this.columnAliases[column]) {
+        throw new Error(`Unknown lab result column: ${column}`);
+      }
+      this.columnAliases[column] = aliases.map(alias => alias.toLowerCase());
+    }
+  }
+
+  // Get current header aliases
+  getColumnAliases() {
+    return { ...this.columnAliases };
+  }
+
+  // Results of each results table on a page, with the table's header row to recognize its continuation
+  _extractTables(pageData) {
+    const tables = [];
+
+    (pageData.tables || []).forEach((table, tableIndex) => {
+      if (!table.rows || table.rows.length < 2) return;
+
+      const header = this._findHeaderRow(table.rows);
+      if (!header) return;
+
+      const results = [];
+      table.rows.slice(header.rowIndex + 1).forEach(row => {
+        const record = this._parseRow(row, header.columns);
+        if (record) {
+          results.push({ ...record, page: pageData.index ?? null, table: tableIndex });
+        }
+      });
+
+      const headerText = table.rows[header.rowIndex].map(cell => String(cell ?? '').trim().toLowerCase()).join('|');
+      tables.push({ header: headerText, results });
+    });
+
+    return tables;
+  }
+
+  _rowKey(result) {
+    return `${result.test.toLowerCase()}|${result.valueText}|${result.units || ''}`;
+  }
+
+  _findHeaderRow(rows) {
+    for (const [rowIndex, row] of rows.entries()) {
+      if (!Array.isArray(row)) continue;
+
+      const columns = {};
+      row.forEach((cell, columnIndex) => {
+        const column = this._matchColumn(cell);
+        if (column && columns[column] === undefined) {
+          columns[column] = columnIndex;
+        }
+      });
+
+      // A results table needs at least a test and a result column
+      if (columns.test !== undefined && columns.result !== undefined) {
+        return { rowIndex, columns };
+      }
+    }
+
+    return null;
+  }
+
+  _matchColumn(cell) {
+    if (!cell || typeof cell !== 'string') return null;
+    const normalized = cell.trim().toLowerCase().replace(/[:.]+$/, '');
+
+    for (const [column, aliases] of Object.entries(this.columnAliases)) {
+      if (aliases.includes(normalized)) return column;
+    }
+    for (const [column, aliases] of Object.entries(this.columnAliases)) {
+      if (aliases.some(alias => alias.includes(' ') && normalized.includes(alias))) return column;
+    }
+    return null;
+  }
+
+  _parseRow(row, columns) {
+    if (!Array.isArray(row)) return null;
+
+    const cell = (column) => {
+      const index = columns[column];
+      if (index === undefined) return null;
+      const value = row[index];
+      return typeof value === 'string' && value.trim() ? value.trim() : null;
+    };
+
+    const test = cell('test');
+    const resultText = cell('result');
+    if (!test || !resultText) return null;
+
+    const value = this._parseValue(resultText);
+    const referenceRange = this._parseRange(cell('referenceRange'));
+    const units = cell('units') || value.units || referenceRange?.units || null;
+
+    let flag = this._parseFlag(cell('flag')) || value.flag;
+    let flagSource = flag ? 'reported' : null;
+    if (!flag) {
+      flag = this._deriveFlag(value.value, referenceRange);
+      flagSource = flag ? 'derived' : null;
+    }
+
+    return {
+      test,
+      value: value.value,
+      valueText: resultText,
+      comparator: value.comparator,
+      units,
+      referenceRange,
+      flag,
+      flagSource,
+      isAbnormal: flag !== null && flag !== 'N',
+      isCritical: flag === 'HH' || flag === 'LL' || flag === 'AA'
+    };
+  }
+
+  _parseValue(text) {
+    const match = text.replace(/,(?=\d{3}\b)/g, '').match(/^(<=|>=|≤|≥|<|>)?\s*(-?\d+(?:\.\d+)?)\s*(.*)$/);
+    if (!match) {
+      return { value: null, comparator: null, units: null, flag: null };
+    }
+
+    const rest = match[3].trim();
+    const flag = rest ? this._parseFlag(rest) : null;
+
+    return {
+      value: parseFloat(match[2]),
+      comparator: this._normalizeComparator(match[1]),
+      units: rest && !flag ? rest : null,
+      flag
+    };
+  }
+
+  _parseRange(text) {
+    if (!text) return null;
+
+    const normalized = text.replace(/,(?=\d{3}\b)/g, '');
+    const between = normalized.match(/^(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?)\s*(.*)$/i);
+    if (between) {
+      return {
+        low: parseFloat(between[1]),
+        high: parseFloat(between[2]),
+        units: between[3].trim() || null,
+        text
+      };
+    }
+
+    const bound = normalized.match(/^(<=|>=|≤|≥|<|>)\s*(-?\d+(?:\.\d+)?)\s*(.*)$/);
+    if (bound) {
+      const comparator = this._normalizeComparator(bound[1]);
+      const limit = parseFloat(bound[2]);
+      return {
+        low: comparator.startsWith('>') ? limit : null,
+        high: comparator.startsWith('<') ? limit : null,
+        units: bound[3].trim() || null,
+        text
+      };
+    }
+
+    // Qualitative ranges such as "Negative" are kept as text only
+    return { low: null, high: null, units: null, text };
+  }
+
+  _parseFlag(text) {
+    if (!text) return null;
+    const normalized = text.trim().toLowerCase();
+    return this.flagMappings[normalized] || null;
+  }
+
+  _deriveFlag(value, range) {
+    if (value === null || !range) return null;
+    if (range.low !== null && value < range.low) return 'L';
+    if (range.high !== null && value > range.high) return 'H';
+    if (range.low !== null || range.high !== null) return 'N';
+    return null;
+  }
+
+  _normalizeComparator(comparator) {
+    if (!comparator) return null;
+    return { '≤': '<=', '≥': '>=' }[comparator] || comparator;
+  }
+}
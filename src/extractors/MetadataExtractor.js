@@ -1,19 +1,126 @@
+import { DateNormalizer } from '../utils/DateNormalizer.js';
+import { LabResultsExtractor } from './LabResultsExtractor.js';
+
+// How each field type is cleaned up and checked; a field definition can override either step
+const FIELD_TYPES = {
+  name: {
+    // Remove non-alphanumeric characters except spaces and hyphens
+    normalize: value => value.replace(/[^\w\s-]/g, '').replace(/\s+/g, ' ').trim(),
+    // Ensure it's not just numbers or too short
+    validate: value => value.length >= 2 && !/^\d+$/.test(value)
+  },
+  date: {
+    // ISO 8601, or null when the value is not a plausible date
+    normalize: (value, definition, extractor) => extractor.dateNormalizer.normalize(value, { kind: definition.dateKind }),
+    validate: value => value !== null
+  },
+  id: {
+    // Remove spaces and special characters, keep alphanumeric
+    normalize: value => value.replace(/[^\w]/g, ''),
+    validate: value => value.length >= 3
+  },
+  enum: {
+    // Map spelling variants onto the field's canonical codes
+    normalize: (value, definition) => definition.values[value.trim().toLowerCase()] ?? null,
+    validate: value => value !== null
+  },
+  text: {
+    normalize: value => value.replace(/\s+/g, ' ').trim(),
+    validate: value => value.length >= 2
+  }
+};
+
+// Built-in fields. Identifying fields drive completeness and confidence.
+const DEFAULT_FIELDS = {
+  name: {
+    type: 'name',
+    identifying: true,
+    aliases: ['patient name', 'name', 'patient', 'full name', 'patient full name']
+  },
+  dob: {
+    type: 'date',
+    // Birth dates cannot be in the future or imply an age over dates.maxAgeYears
+    dateKind: 'birth',
+    identifying: true,
+    aliases: ['dob', 'date of birth', 'birth date', 'birthdate', 'patient dob']
+  },
+  patientId: {
+    type: 'id',
+    identifying: true,
+    aliases: [
+      'patient id', 'id', 'patient #', 'patient number', 'mrn',
+      'medical record number', 'account', 'medical record no',
+      'patient identifier', 'chart number'
+    ]
+  },
+  sex: {
+    type: 'enum',
+    aliases: ['sex', 'gender', 'patient sex', 'sex/gender'],
+    values: {
+      m: 'M', male: 'M',
+      f: 'F', female: 'F',
+      o: 'O', other: 'O',
+      u: 'U', unknown: 'U', unk: 'U'
+    }
+  },
+  collectionDate: {
+    type: 'date',
+    aliases: [
+      'collection date', 'date collected', 'collected', 'collected on',
+      'date of collection', 'specimen collected', 'collection time'
+    ]
+  },
+  reportDate: {
+    type: 'date',
+    aliases: [
+      'report date', 'date reported', 'reported', 'reported on',
+      'date of report', 'final report date', 'report issued'
+    ]
+  },
+  orderingProvider: {
+    type: 'name',
+    aliases: [
+      'ordering provider', 'ordering physician', 'ordered by', 'referring physician',
+      'physician', 'provider', 'doctor'
+    ]
+  },
+  accessionNumber: {
+    type: 'id',
+    aliases: [
+      'accession', 'accession number', 'accession #', 'accession no',
+      'specimen id', 'specimen number', 'specimen #', 'lab number'
+    ]
+  },
+  performingLab: {
+    type: 'text',
+    aliases: ['performing lab', 'performing laboratory', 'performed at', 'testing laboratory', 'laboratory', 'lab']
+  }
+};
+
+// Metadata keys the extractor owns, so they cannot be used as field names
+const RESERVED_KEYS = [
+  'confidence', 'pageConfidence', 'extractedFrom', 'extractionMethod', 'fields',
+  'isHighConfidence', 'completeness', 'pageCount', 'splitConfidence', 'reviewStatus', 'overriddenFields', 'mpi'
+];
+
 /**
- * Patient metadata extraction from Textract data
+ * Schema-driven patient metadata extraction from Textract data
  */
 export class MetadataExtractor {
-  constructor(config) {
+  constructor(config, labResultsExtractor = null) {
     this.confidenceThreshold = config.textract.confidenceThreshold;
+    this.queryConfidenceThreshold = config.textract.queryConfidenceThreshold ?? 0;
+    this.dateNormalizer = new DateNormalizer(config);
+    // Recognizes results tables, whose cells are never report metadata
+    this.labResultsExtractor = labResultsExtractor || new LabResultsExtractor(config);
 
-    this.fieldMappings = {
-      name: ['patient name', 'name', 'patient', 'full name', 'patient full name'],
-      dob: ['dob', 'date of birth', 'birth date', 'birthdate', 'patient dob'],
-      patientId: [
-        'patient id', 'id', 'patient #', 'patient number', 'mrn',
-        'medical record number', 'account', 'accession', 'medical record no',
-        'patient identifier', 'chart number'
-      ]
-    };
+    this.schema = {};
+    for (const [field, definition] of Object.entries(DEFAULT_FIELDS)) {
+      this.registerField(field, definition);
+    }
+    for (const [field, definition] of Object.entries(config.metadata?.customFields || {})) {
+      this.registerField(field, definition);
+    }
   }
 
   extractMetadata(pageData) {
@@ -21,115 +128,213 @@ export class MetadataExtractor {
       throw new Error("No page data provided for metadata extraction");
     }
 
-    const { keyValuePairs, tables, confidence, index } = pageData;
+    const { keyValuePairs, keyValueDetails, tables, queryResults, confidence, index } = pageData;
+    const page = index === undefined ? null : index + 1;
 
     const metadata = {
-      name: null,
-      dob: null,
-      patientId: null,
-      confidence: confidence || 0,
+      ...Object.fromEntries(Object.keys(this.schema).map(field => [field, null])),
+      confidence: 0,
+      pageConfidence: confidence || 0,
       extractedFrom: `page_${index ?? 'unknown'}`,
-      extractionMethod: 'textract_structured',
-      isHighConfidence: (confidence || 0) >= this.confidenceThreshold
+      // Source of each extracted field: 'query', 'kv' or 'table'
+      extractionMethod: {},
+      // Provenance per field: { value, raw, confidence, source, page, location }
+      fields: {},
+      isHighConfidence: false
     };
 
-    // Extract from key-value pairs (most reliable)
-    this._extractFromKeyValuePairs(keyValuePairs || {}, metadata);
+    // Direct answers to Textract queries (most reliable)
+    this._extractFromQueries(queryResults || {}, metadata, page);
+
+    // Then key-value pairs
+    this._extractFromKeyValuePairs(keyValuePairs || {}, keyValueDetails || {}, metadata, page);
 
     // Fallback to table data if needed
     if (this._hasIncompleteData(metadata) && tables && tables.length > 0) {
-      this._extractFromTables(tables, metadata);
+      this._extractFromTables(tables, metadata, page);
     }
 
     // Final validation and scoring
-    metadata.completeness = this._calculateCompleteness(metadata);
+    return this.scoreMetadata(metadata);
+  }
 
+  // (Re)compute completeness and identifier confidence, e.g. after fields were overridden
+  scoreMetadata(metadata) {
+    metadata.completeness = this._calculateCompleteness(metadata);
+    metadata.confidence = this._calculateIdentifierConfidence(metadata);
+    metadata.isHighConfidence = this._isHighConfidence(metadata);
     return metadata;
   }
 
-  // Allow custom field mappings
+  /**
+   * Add or replace a field. definition: { aliases, type, identifying, values (enum),
+   * dateKind ('birth' for dates), normalize(value, definition, extractor), validate(value, definition) }
+   */
+  registerField(field, definition) {
+    if (RESERVED_KEYS.includes(field)) {
+      throw new Error(`"${field}" is reserved and cannot be used as a metadata field name`);
+    }
+    const type = FIELD_TYPES[definition.type];
+    if (!type) {
+      throw new Error(`Unknown type "${definition.type}" for metadata field "${field}". Use one of: ${Object.keys(FIELD_TYPES).join(', ')}`);
+    }
+    if (!Array.isArray(definition.aliases) || definition.aliases.length === 0) {
+      throw new Error(`Metadata field "${field}" needs at least one alias`);
+    }
+    if (definition.type === 'enum' && !definition.values) {
+      throw new Error(`Enum metadata field "${field}" needs a values map`);
+    }
+
+    this.schema[field] = {
+      ...definition,
+      identifying: Boolean(definition.identifying),
+      aliases: definition.aliases.map(alias => alias.toLowerCase()),
+      normalize: definition.normalize || type.normalize,
+      validate: definition.validate || type.validate
+    };
+  }
+
+  // Clean and normalize a value for a field the way extracted values are, or null if it does not validate
+  normalizeField(field, value) {
+    if (!this.schema[field]) {
+      throw new Error(`Unknown metadata field "${field}"`);
+    }
+    return this._cleanValue(typeof value === 'string' ? value : String(value ?? ''), field);
+  }
+
+  // Get the field schema
+  getFieldSchema() {
+    return { ...this.schema };
+  }
+
+  // Allow custom aliases for existing fields
   setFieldMappings(customMappings) {
-    this.fieldMappings = { ...this.fieldMappings, ...customMappings };
+    for (const [field, aliases] of Object.entries(customMappings)) {
+      if (!this.schema[field]) {
+        throw new Error(`Unknown metadata field "${field}", register it with registerField first`);
+      }
+      this.schema[field].aliases = aliases.map(alias => alias.toLowerCase());
+    }
   }
 
   // Get available field mappings
   getFieldMappings() {
-    return { ...this.fieldMappings };
+    return Object.fromEntries(
+      Object.entries(this.schema).map(([field, definition]) => [field, [...definition.aliases]])
+    );
+  }
+
+  _extractFromQueries(queryResults, metadata, page) {
+    for (const field of Object.keys(this.schema)) {
+      const answer = queryResults[field];
+      if (!answer || metadata[field] || answer.confidence < this.queryConfidenceThreshold) continue;
+      this._setField(metadata, field, answer.text, 'query', { ...answer, page });
+    }
   }
 
-  _extractFromKeyValuePairs(keyValuePairs, metadata) {
-    for (const [field, possibleKeys] of Object.entries(this.fieldMappings)) {
-      for (const key of possibleKeys) {
+  _extractFromKeyValuePairs(keyValuePairs, keyValueDetails, metadata, page) {
+    for (const [field, definition] of Object.entries(this.schema)) {
+      for (const key of definition.aliases) {
         if (keyValuePairs[key] && !metadata[field]) {
-          metadata[field] = this._cleanValue(keyValuePairs[key], field);
+          this._setField(metadata, field, keyValuePairs[key], 'kv', { ...keyValueDetails[key], page });
           break;
         }
       }
     }
   }
 
-  _extractFromTables(tables, metadata) {
+  // Label/value cells ("MRN | 12345" or "MRN: 12345") from tables that are not lab results
+  _extractFromTables(tables, metadata, page) {
     tables.forEach(table => {
-      if (!table.rows) return;
+      if (!table.rows || this.labResultsExtractor.isResultsTable(table)) return;
 
-      table.rows.forEach(row => {
+      table.rows.forEach((row, rowIndex) => {
         if (!Array.isArray(row)) return;
 
         row.forEach((cell, index) => {
           if (!cell || typeof cell !== 'string') return;
 
-          const cellLower = cell.toLowerCase();
+          const separator = cell.indexOf(':');
+          const field = this._matchLabel(separator === -1 ? cell : cell.slice(0, separator));
+          if (!field || metadata[field]) return;
 
-          for (const [field, possibleKeys] of Object.entries(this.fieldMappings)) {
-            if (metadata[field]) continue;
+          const inline = separator === -1 ? '' : cell.slice(separator + 1).trim();
+          const nextCell = typeof row[index + 1] === 'string' ? row[index + 1] : '';
+          // A neighbouring label means this is a header row, not a label/value pair
+          const valueCell = inline || (nextCell && !this._matchLabel(nextCell) ? nextCell : '');
+          if (!valueCell) return;
 
-            if (possibleKeys.some(key => cellLower.includes(key))) {
-              const valueCell = row[index + 1] || cell.split(':')[1] || cell.split(' ').slice(-1)[0];
-              if (valueCell && valueCell.trim() !== cellLower) {
-                metadata[field] = this._cleanValue(valueCell, field);
-              }
-            }
-          }
+          const valueIndex = inline ? index : index + 1;
+          const detail = table.cellDetails?.[rowIndex]?.[valueIndex];
+          this._setField(metadata, field, valueCell, 'table', { ...detail, page });
         });
       });
     });
   }
 
+  // Field with an alias equal to the whole label, so "Lab Comments" is not read as the performing lab
+  _matchLabel(label) {
+    const normalized = label.trim().toLowerCase().replace(/[:.]+$/, '').trim();
+    if (!normalized) return null;
+
+    for (const [field, definition] of Object.entries(this.schema)) {
+      if (definition.aliases.includes(normalized)) return field;
+    }
+    return null;
+  }
+
+  _setField(metadata, field, value, source, provenance = {}) {
+    metadata[field] = this._cleanValue(value, field);
+    if (metadata[field]) {
+      metadata.extractionMethod[field] = source;
+      metadata.fields[field] = {
+        value: metadata[field],
+        raw: value.trim(),
+        confidence: provenance.confidence ?? 0,
+        source,
+        page: provenance.page ?? null,
+        location: provenance.geometry || null
+      };
+    }
+  }
+
   _cleanValue(value, field) {
     if (!value || typeof value !== 'string') return null;
 
-    let cleaned = value.trim();
-
-    if (field === 'name') {
-      // Remove non-alphanumeric characters except spaces and hyphens
-      cleaned = cleaned.replace(/[^\w\s-]/g, '').trim();
-      // Ensure it's not just numbers or too short
-      if (cleaned.length < 2 || /^\d+$/.test(cleaned)) {
-        return null;
-      }
-    } else if (field === 'dob') {
-      // Basic date validation - ensure it contains numbers and separators
-      if (!/\d/.test(cleaned) || cleaned.length < 6) {
-        return null;
-      }
-    } else if (field === 'patientId') {
-      // Remove spaces and special characters, keep alphanumeric
-      cleaned = cleaned.replace(/[^\w]/g, '');
-      if (cleaned.length < 3) {
-        return null;
-      }
+    const definition = this.schema[field];
+    const cleaned = definition.normalize(value.trim(), definition, this);
+    if (cleaned === null || cleaned === undefined || !definition.validate(cleaned, definition)) {
+      return null;
     }
 
     return cleaned;
   }
 
+  _identifyingFields() {
+    return Object.keys(this.schema).filter(field => this.schema[field].identifying);
+  }
+
   _hasIncompleteData(metadata) {
-    return !metadata.name || !metadata.dob || !metadata.patientId;
+    return Object.keys(this.schema).some(field => !metadata[field]);
+  }
+
+  // Weakest identifier decides how far the metadata can be trusted
+  _calculateIdentifierConfidence(metadata) {
+    const confidences = this._identifyingFields()
+      .filter(field => metadata.fields[field])
+      .map(field => metadata.fields[field].confidence);
+    return confidences.length > 0 ? Math.min(...confidences) : 0;
+  }
+
+  // Needs a name or ID to file by, and every identifier found must be read reliably
+  _isHighConfidence(metadata) {
+    if (!metadata.name && !metadata.patientId) return false;
+    return metadata.confidence >= this.confidenceThreshold;
   }
 
   _calculateCompleteness(metadata) {
-    const fields = ['name', 'dob', 'patientId'];
-    const completedFields = fields.filter(field => metadata[field] && metadata[field].length > 0);
-    return completedFields.length / fields.length;
+    const identifyingFields = this._identifyingFields();
+    const completedFields = identifyingFields.filter(field => metadata[field] && metadata[field].length > 0);
+    return completedFields.length / identifyingFields.length;
   }
-}
\ No newline at end of file
+}
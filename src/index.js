@@ -1,3 +1,4 @@
+import fs from "fs";
 import dotenv from "dotenv";
 
 // Load environment variables
@@ -5,16 +6,40 @@ dotenv.config();
 
 // Export all classes
 export { Config } from './config/Config.js';
+export { OcrProvider } from './services/OcrProvider.js';
 export { TextractService } from './services/TextractService.js';
+export { TextLayerService } from './services/TextLayerService.js';
 export { PDFProcessor } from './services/PDFProcessor.js';
+export { StorageBackend } from './services/StorageBackend.js';
 export { S3Service } from './services/S3Service.js';
+export { FileSystemStorage } from './services/FileSystemStorage.js';
+export { ManifestStore } from './services/ManifestStore.js';
+export { JobStore } from './services/JobStore.js';
+export { JobQueue } from './utils/JobQueue.js';
+export { ApiServer } from './server/ApiServer.js';
+export { FolderWatcher } from './server/FolderWatcher.js';
 export { MetadataExtractor } from './extractors/MetadataExtractor.js';
+export { LabResultsExtractor } from './extractors/LabResultsExtractor.js';
 export { DocumentSplitter } from './processors/DocumentSplitter.js';
+export { PatientMatcher } from './processors/PatientMatcher.js';
+export { PageClassifier } from './processors/PageClassifier.js';
+export { MpiMatcher } from './processors/MpiMatcher.js';
+export { DateNormalizer } from './utils/DateNormalizer.js';
+export { Logger } from './utils/Logger.js';
+export { FhirExporter } from './exporters/FhirExporter.js';
+export { Hl7Serializer } from './exporters/Hl7Serializer.js';
+export { MllpClient } from './services/MllpClient.js';
+export { CacheStore } from './cache/CacheStore.js';
+export { FileCacheStore } from './cache/FileCacheStore.js';
 export { ReportProcessor } from './ReportProcessor.js';
 
 // Re-export main classes for convenience
 import { Config } from './config/Config.js';
 import { ReportProcessor } from './ReportProcessor.js';
+import { FileCacheStore } from './cache/FileCacheStore.js';
+import { Logger } from './utils/Logger.js';
+import { ApiServer } from './server/ApiServer.js';
+import { FolderWatcher } from './server/FolderWatcher.js';
 
 /**
  * Factory function for easy instantiation with custom configuration
@@ -26,9 +51,9 @@ export function createReportProcessor(customConfig = {}) {
 }
 
 /**
- * Factory function to create processor with environment-based config
+ * Build a configuration from environment variables, with optional overrides on top
  */
-export function createReportProcessorFromEnv() {
+export function createConfigFromEnv(overrides = {}) {
   const config = new Config();
 
   // Override with any environment variables
@@ -37,9 +62,102 @@ export function createReportProcessorFromEnv() {
   if (process.env.TEXTRACT_CONFIDENCE_THRESHOLD) {
     config.textract.confidenceThreshold = parseInt(process.env.TEXTRACT_CONFIDENCE_THRESHOLD, 10);
   }
+  if (process.env.TEXTRACT_QUERIES) {
+    config.textract.useQueries = process.env.TEXTRACT_QUERIES === 'true';
+  }
+  if (process.env.TEXTRACT_QUERY_CONFIDENCE_THRESHOLD) {
+    config.textract.queryConfidenceThreshold = parseInt(process.env.TEXTRACT_QUERY_CONFIDENCE_THRESHOLD, 10);
+  }
+  if (process.env.GROUPING_MODE) config.processing.groupingMode = process.env.GROUPING_MODE;
+  if (process.env.LOG_LEVEL) config.logging.level = process.env.LOG_LEVEL;
+  if (process.env.LOG_FORMAT) config.logging.format = process.env.LOG_FORMAT;
+  if (process.env.LOG_REDACTION) config.logging.redaction = process.env.LOG_REDACTION;
+  if (process.env.LOG_HASH_KEY) config.logging.hashKey = process.env.LOG_HASH_KEY;
+  if (process.env.LOG_SHOW_PHI) config.logging.showPhi = process.env.LOG_SHOW_PHI === 'true';
+  if (process.env.MPI_INDEX_PATH) config.mpi.indexPath = process.env.MPI_INDEX_PATH;
+  if (process.env.MPI_CORRECT_FIELDS) config.mpi.correctFields = process.env.MPI_CORRECT_FIELDS !== 'false';
+  if (process.env.MPI_REVIEW_ON_NO_MATCH) config.mpi.reviewOnNoMatch = process.env.MPI_REVIEW_ON_NO_MATCH === 'true';
+  if (process.env.DATE_ORDER) {
+    config.dates.dayMonthOrder = process.env.DATE_ORDER.toUpperCase();
+  }
+  if (process.env.TWO_DIGIT_YEAR_CUTOFF) {
+    config.dates.twoDigitYearCutoff = parseInt(process.env.TWO_DIGIT_YEAR_CUTOFF, 10);
+  }
+  if (process.env.METADATA_CUSTOM_FIELDS) {
+    try {
+      config.metadata.customFields = JSON.parse(process.env.METADATA_CUSTOM_FIELDS);
+    } catch (error) {
+      throw new Error(`METADATA_CUSTOM_FIELDS must be JSON: ${error.message}`);
+    }
+  }
+  if (process.env.SEPARATOR_MARKERS) {
+    config.processing.separatorMarkers = process.env.SEPARATOR_MARKERS.split(',').map(marker => marker.trim()).filter(Boolean);
+  }
+  if (process.env.REVIEW_THRESHOLD) {
+    config.processing.reviewThreshold = parseFloat(process.env.REVIEW_THRESHOLD);
+  }
+  if (process.env.REVIEW_PREFIX) config.storage.reviewPrefix = process.env.REVIEW_PREFIX;
+  if (process.env.PAGE_CONCURRENCY) {
+    config.processing.pageConcurrency = parseInt(process.env.PAGE_CONCURRENCY, 10);
+  }
+  if (process.env.RETRY_MAX_ATTEMPTS) {
+    config.retry.maxAttempts = parseInt(process.env.RETRY_MAX_ATTEMPTS, 10);
+  }
+  if (process.env.STORAGE_BACKEND) config.storage.backend = process.env.STORAGE_BACKEND;
+  if (process.env.OUTPUT_DIR) config.storage.outputDir = process.env.OUTPUT_DIR;
+  if (process.env.S3_SSE) config.s3.serverSideEncryption = process.env.S3_SSE === 'none' ? null : process.env.S3_SSE;
+  if (process.env.S3_KMS_KEY_ID) config.s3.kmsKeyId = process.env.S3_KMS_KEY_ID;
+  if (process.env.S3_STORAGE_CLASS) config.s3.storageClass = process.env.S3_STORAGE_CLASS;
+  if (process.env.S3_TAGGING) config.s3.tagging = process.env.S3_TAGGING === 'true';
+  if (process.env.S3_MULTIPART_THRESHOLD_MB) config.s3.multipartThreshold = parseFloat(process.env.S3_MULTIPART_THRESHOLD_MB) * 1024 * 1024;
+  if (process.env.RUN_MANIFEST) config.idempotency.enabled = process.env.RUN_MANIFEST === 'true';
+  if (process.env.DUPLICATE_POLICY) config.idempotency.policy = process.env.DUPLICATE_POLICY;
+  if (process.env.JOB_CHECKPOINTS) config.jobs.enabled = process.env.JOB_CHECKPOINTS === 'true';
+  if (process.env.JOB_STATE_DIR) config.jobs.stateDir = process.env.JOB_STATE_DIR;
+  if (process.env.SERVER_HOST) config.server.host = process.env.SERVER_HOST;
+  if (process.env.SERVER_PORT) config.server.port = parseInt(process.env.SERVER_PORT, 10);
+  if (process.env.SERVER_CONCURRENCY) config.server.concurrency = parseInt(process.env.SERVER_CONCURRENCY, 10);
+  if (process.env.SERVER_MAX_UPLOAD_MB) config.server.maxBodyBytes = parseFloat(process.env.SERVER_MAX_UPLOAD_MB) * 1024 * 1024;
+  if (process.env.API_KEYS) config.server.apiKeys = process.env.API_KEYS.split(',').map(key => key.trim()).filter(Boolean);
+  if (process.env.WATCH_DIR) config.watch.dir = process.env.WATCH_DIR;
+  if (process.env.WATCH_PATTERNS) config.watch.patterns = process.env.WATCH_PATTERNS.split(',').map(pattern => pattern.trim()).filter(Boolean);
+  if (process.env.WATCH_POLL_MS) config.watch.pollIntervalMs = parseInt(process.env.WATCH_POLL_MS, 10);
+  if (process.env.WATCH_STABLE_MS) config.watch.stableMs = parseInt(process.env.WATCH_STABLE_MS, 10);
+  if (process.env.WATCH_CONCURRENCY) config.watch.concurrency = parseInt(process.env.WATCH_CONCURRENCY, 10);
+  if (process.env.STORAGE_KEY_TEMPLATE) config.storage.keyTemplate = process.env.STORAGE_KEY_TEMPLATE;
+  if (process.env.PSEUDONYM_KEY) config.storage.pseudonymKey = process.env.PSEUDONYM_KEY;
+  if (process.env.METADATA_IDENTIFIERS) config.storage.metadataIdentifiers = process.env.METADATA_IDENTIFIERS;
+  if (process.env.FHIR_EXPORT) config.fhir.enabled = process.env.FHIR_EXPORT === 'true';
+  if (process.env.FHIR_IDENTIFIER_SYSTEM) config.fhir.identifierSystem = process.env.FHIR_IDENTIFIER_SYSTEM;
+  if (process.env.HL7_EXPORT) config.hl7.enabled = process.env.HL7_EXPORT === 'true';
+  if (process.env.HL7_SENDING_APPLICATION) config.hl7.sendingApplication = process.env.HL7_SENDING_APPLICATION;
+  if (process.env.HL7_SENDING_FACILITY) config.hl7.sendingFacility = process.env.HL7_SENDING_FACILITY;
+  if (process.env.HL7_RECEIVING_APPLICATION) config.hl7.receivingApplication = process.env.HL7_RECEIVING_APPLICATION;
+  if (process.env.HL7_RECEIVING_FACILITY) config.hl7.receivingFacility = process.env.HL7_RECEIVING_FACILITY;
+  if (process.env.MLLP_HOST) {
+    config.hl7.mllp.enabled = true;
+    config.hl7.mllp.host = process.env.MLLP_HOST;
+  }
+  if (process.env.MLLP_PORT) config.hl7.mllp.port = parseInt(process.env.MLLP_PORT, 10);
+  if (process.env.OCR_PROVIDER) config.ocr.provider = process.env.OCR_PROVIDER;
+  if (process.env.OCR_TEXTRACT_FALLBACK) {
+    config.ocr.textractFallback = process.env.OCR_TEXTRACT_FALLBACK !== 'false';
+  }
   if (process.env.MAX_PAGES_PER_PATIENT) {
     config.processing.maxPagesPerPatient = parseInt(process.env.MAX_PAGES_PER_PATIENT, 10);
   }
+  if (process.env.TEXTRACT_CACHE) config.cache.enabled = process.env.TEXTRACT_CACHE !== 'false';
+  if (process.env.TEXTRACT_CACHE_DIR) config.cache.dir = process.env.TEXTRACT_CACHE_DIR;
+
+  // Command line options win over the environment
+  return config.merge(overrides);
+}
+
+/**
+ * Factory function to create processor with environment-based config
+ */
+export function createReportProcessorFromEnv(overrides = {}) {
+  const config = createConfigFromEnv(overrides);
 
   return new ReportProcessor(config);
 }
@@ -70,90 +188,331 @@ function showHelp() {
   console.log("=" .repeat(55));
   console.log("");
   console.log("USAGE:");
-  console.log("  node src/index.js [PDF_FILE_PATH]");
-  console.log("  npm start [PDF_FILE_PATH]");
+  console.log("  node src/index.js [OPTIONS] [PDF_FILE_PATH]");
+  console.log("  npm start -- [OPTIONS] [PDF_FILE_PATH]");
+  console.log("  node src/index.js resume <JOB_ID>");
+  console.log("  node src/index.js serve");
+  console.log("  node src/index.js watch [DIR]");
   console.log("");
   console.log("EXAMPLES:");
   console.log("  node src/index.js                                    # Process default sample file");
   console.log("  node src/index.js lab-reports.pdf                   # Process specific file");
   console.log("  npm start my-reports.pdf                      # Using npm script");
+  console.log("  node src/index.js --no-cache lab-reports.pdf        # Always call Textract");
+  console.log("  node src/index.js --dry-run lab-reports.pdf         # Preview the split without uploading");
+  console.log("  node src/index.js --dry-run --export-plan plan.json lab-reports.pdf");
+  console.log("  node src/index.js --plan plan.json lab-reports.pdf  # Re-run with a corrected plan");
   console.log("");
   console.log("ENVIRONMENT VARIABLES:");
   console.log("  AWS_REGION                    AWS region (default: us-east-1)");
   console.log("  S3_BUCKET_NAME               S3 bucket for uploads (default: reports-bk)");
   console.log("  TEXTRACT_CONFIDENCE_THRESHOLD Minimum confidence % (default: 80)");
+  console.log("  TEXTRACT_QUERIES             Ask Textract for name/DOB/MRN via queries (extra per-page cost, default: false)");
+  console.log("  TEXTRACT_QUERY_CONFIDENCE_THRESHOLD Minimum confidence % for query answers (default: 50)");
   console.log("  MAX_PAGES_PER_PATIENT        Max pages per patient (default: 10)");
+  console.log("  GROUPING_MODE                contiguous | patient, regroups interleaved pages (default: contiguous)");
+  console.log("  LOG_LEVEL                    debug | info | warn | error | silent (default: info)");
+  console.log("  LOG_FORMAT                   text | json (default: text)");
+  console.log("  LOG_REDACTION                mask | hash for PHI fields in logs (default: mask)");
+  console.log("  LOG_HASH_KEY                 HMAC key so hashed PHI correlates across runs");
+  console.log("  LOG_SHOW_PHI                 Log PHI in clear text, local debugging only (default: false)");
+  console.log("  MPI_INDEX_PATH               CSV/JSON patient index to check identities against");
+  console.log("  MPI_CORRECT_FIELDS           Fill in/correct identifiers from the index (extra per-page cost, default: false)");
+  console.log("  MPI_REVIEW_ON_NO_MATCH       Hold reports for patients missing from the index (default: false)");
+  console.log("  DATE_ORDER                   MDY | DMY for ambiguous numeric dates (default: MDY)");
+  console.log("  TWO_DIGIT_YEAR_CUTOFF        Two-digit years up to this are 20xx (default: 49)");
+  console.log("  METADATA_CUSTOM_FIELDS       JSON map of extra fields, e.g. {\"insuranceId\":{\"type\":\"id\",\"aliases\":[\"member id\"]}}");
+  console.log("                               (stored per METADATA_IDENTIFIERS unless the field sets \"identifying\":false)");
+  console.log("  SEPARATOR_MARKERS            Comma-separated separator sheet marker text");
+  console.log("  REVIEW_THRESHOLD             Split confidence below which reports go to review (default: 0.6)");
+  console.log("  REVIEW_PREFIX                Prefix/subfolder for reports held for review (default: review/)");
+  console.log("  PAGE_CONCURRENCY             Pages analyzed in parallel (default: 4)");
+  console.log("  RETRY_MAX_ATTEMPTS           Attempts per page on throttling/transient errors (default: 4)");
+  console.log("  STORAGE_BACKEND              s3 | filesystem (default: s3)");
+  console.log("  OUTPUT_DIR                   Output directory for filesystem storage (default: processed-reports)");
+  console.log("  S3_SSE                       AES256 | aws:kms | none (default: AES256)");
+  console.log("  S3_KMS_KEY_ID                KMS key ID or ARN for aws:kms encryption");
+  console.log("  S3_STORAGE_CLASS             S3 storage class for uploads (default: STANDARD)");
+  console.log("  S3_TAGGING                   Tag reports with source, split confidence and review status (extra per-page cost, default: false)");
+  console.log("  S3_MULTIPART_THRESHOLD_MB    Upload in parts above this size (default: 16)");
+  console.log("  RUN_MANIFEST                 Record runs per document fingerprint to avoid duplicates (extra per-page cost, default: false)");
+  console.log("  DUPLICATE_POLICY             skip | overwrite reports of an already processed document (default: skip)");
+  console.log("  JOB_CHECKPOINTS              Checkpoint runs so they can be resumed (extra per-page cost, default: false)");
+  console.log("  JOB_STATE_DIR                Job checkpoint directory (default: .jobs)");
+  console.log("  SERVER_HOST                  API bind address for serve (default: 127.0.0.1)");
+  console.log("  SERVER_PORT                  API port for serve (default: 3000)");
+  console.log("  SERVER_CONCURRENCY           Documents the API processes at once (default: 2)");
+  console.log("  SERVER_MAX_UPLOAD_MB         Largest accepted upload (default: 100)");
+  console.log("  API_KEYS                     Comma-separated keys accepted as X-API-Key or Bearer token");
+  console.log("  WATCH_DIR                    Hot folder for watch (or pass it after the command)");
+  console.log("  WATCH_PATTERNS               Comma-separated file patterns to pick up (default: *.pdf)");
+  console.log("  WATCH_POLL_MS                Hot folder polling interval (default: 2000)");
+  console.log("  WATCH_STABLE_MS              Time a file's size and mtime must hold still before processing (default: 5000)");
+  console.log("  WATCH_CONCURRENCY            Documents the watcher processes at once (default: 1)");
+  console.log("  STORAGE_KEY_TEMPLATE         Report key, e.g. {yyyy}/{mm}/{sourceFile}_{documentId}_{reportIndex}_{mrnHash}.pdf");
+  console.log("  PSEUDONYM_KEY                HMAC secret for {mrnHash} and identifier metadata pseudonyms");
+  console.log("  METADATA_IDENTIFIERS         pseudonym | omit | plain identifiers in object metadata (default: pseudonym)");
+  console.log("  FHIR_EXPORT                  Write a FHIR R4 Bundle per report (default: false)");
+  console.log("  FHIR_IDENTIFIER_SYSTEM       Identifier system for the MRN (default: urn:mrn)");
+  console.log("  HL7_EXPORT                   Write an HL7 v2 ORU^R01 message per report (default: false)");
+  console.log("  HL7_SENDING_APPLICATION      MSH-3 sending application (default: REPORT-PROCESSOR)");
+  console.log("  HL7_SENDING_FACILITY         MSH-4 sending facility");
+  console.log("  HL7_RECEIVING_APPLICATION    MSH-5 receiving application");
+  console.log("  HL7_RECEIVING_FACILITY       MSH-6 receiving facility");
+  console.log("  MLLP_HOST                    Deliver HL7 messages to this MLLP host");
+  console.log("  MLLP_PORT                    MLLP port (default: 2575)");
+  console.log("  OCR_PROVIDER                 textract | text-layer (default: textract)");
+  console.log("  OCR_TEXTRACT_FALLBACK        Use Textract for pages without text (extra per-page cost, default: false)");
+  console.log("  TEXTRACT_CACHE               Cache Textract responses on disk (extra per-page cost, default: false)");
+  console.log("  TEXTRACT_CACHE_DIR           Cache directory (default: .cache/textract)");
+  console.log("");
+  console.log("OPTIONS:");
+  console.log("  --no-cache                    Bypass the Textract response cache");
+  console.log("  --clear-cache                 Empty the Textract response cache (exits if no file is given)");
+  console.log("  --show-phi                    Log patient identifiers in clear text (local debugging only)");
+  console.log("  --overwrite                   Re-process an already processed document, overwriting its reports in place");
+  console.log("  --dry-run                     Extract and split only, print the split plan without uploading");
+  console.log("  --preview-dir <dir>           With --dry-run, write the split PDFs and plan to <dir>");
+  console.log("  --export-plan <file>          Write the split plan as JSON to <file>");
+  console.log("  --plan <file>                 Split by the page ranges in <file> instead of detecting them;");
+  console.log("                                a report's optional \"metadata\" object overrides name/dob/patientId");
   console.log("");
   console.log("OTHER COMMANDS:");
+  console.log("  resume <jobId>                Continue an interrupted run from its last checkpoint");
+  console.log("  serve                         Run the HTTP ingestion API (POST /jobs, GET/DELETE /jobs/:id, ...)");
+  console.log("  watch [dir]                   Process PDFs dropped into a hot folder, moving them to processed/ or failed/");
   console.log("");
   console.log("REQUIRED:");
   console.log("  - AWS credentials configured (AWS CLI, env vars, or IAM role)");
-  console.log("  - S3 bucket must exist and be accessible");
+  console.log("  - S3 bucket must exist and be accessible (unless STORAGE_BACKEND=filesystem)");
   console.log("  - .env file with required AWS configuration");
 }
 
+// Flags that take a value, as "--flag value" or "--flag=value"
+const VALUE_FLAGS = ['preview-dir', 'plan', 'export-plan'];
+
+/**
+ * Split command line arguments into positional values and --flags
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.replace(/^-+/, '').split(/=(.*)/);
+    if (VALUE_FLAGS.includes(name)) {
+      const value = inlineValue ?? args[++i];
+      if (value === undefined) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      flags[name] = value;
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
+/**
+ * Print the split plan returned by a dry run
+ */
+function printSplitPlan(splitPlan, logger) {
+  logger.info("Split Plan:");
+  splitPlan.reports.forEach(report => {
+    const { name, dob, patientId } = report.identifiers;
+    logger.info(`   ${report.reportIndex + 1}. Pages ${report.pages.join(', ')} (${report.pages.length} pages) - ${report.splitReason}`);
+    logger.info(`       Split confidence: ${report.splitConfidence.toFixed(2)}${report.needsReview ? ` - needs review (${report.reviewReasons.join(', ')})` : ''}`);
+    if (report.pageNumbering && !report.pageNumbering.complete) {
+      const { missing, duplicates } = report.pageNumbering;
+      logger.info(`       Page numbering: missing [${missing.join(', ')}], duplicates [${duplicates.join(', ')}]`);
+    }
+    logger.info("       Identifiers:", { name, dob, patientId });
+    if (report.mpi) {
+      logger.info(`       Patient index: ${report.mpi.status} (score ${report.mpi.score.toFixed(2)})`);
+    }
+    logger.info("       Would upload:", { filename: report.filename });
+  });
+}
+
 /**
  * Main execution when this file is run directly
  */
 async function main() {
   // Get command line arguments
-  const args = process.argv.slice(2);
+  let positional;
+  let flags;
+  try {
+    ({ positional, flags } = parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 
   // Check for help flag
-  if (args.includes('--help') || args.includes('-h')) {
+  if (flags.help || flags.h) {
     showHelp();
     return;
   }
 
-  console.log("Medical Report Processor");
-  console.log("=" .repeat(55));
+  let logger = new Logger();
 
   try {
+    const overrides = {};
+    if (flags['no-cache']) overrides.cache = { enabled: false };
+    if (flags.overwrite) overrides.idempotency = { policy: 'overwrite' };
+    if (flags['show-phi']) overrides.logging = { showPhi: true };
+
+    const config = createConfigFromEnv(overrides);
+    logger = Logger.fromConfig(config);
+
+    logger.info("Medical Report Processor");
+    logger.info("=".repeat(55));
+    if (config.logging.showPhi) {
+      logger.warn("PHI redaction is disabled, do not ship these logs");
+    }
+
+    if (flags['clear-cache']) {
+      const store = config.cache.store || new FileCacheStore(config.cache);
+      const removed = await store.clear();
+      logger.info(`Cleared Textract cache (${removed ?? 0} entries)`);
+      if (positional.length === 0) return;
+    }
+
     // Create processor with environment-based configuration
-    const processor = createReportProcessorFromEnv();
+    const processor = new ReportProcessor(config);
+    logger = processor.logger;
+
+    // "serve" runs the HTTP ingestion API until interrupted
+    if (positional[0] === 'serve') {
+      const server = new ApiServer(config, processor);
+      await server.start();
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+          logger.info(`${signal} received, finishing running jobs...`);
+          server.stop().then(() => process.exit(0));
+        });
+      }
+      return;
+    }
+
+    // "watch [dir]" processes files dropped into a hot folder until interrupted
+    if (positional[0] === 'watch') {
+      if (positional[1]) config.watch.dir = positional[1];
+      if (!config.watch.dir) {
+        throw new Error("Usage: watch <dir> (or set WATCH_DIR)");
+      }
+      const watcher = new FolderWatcher(config, processor);
+      await watcher.start();
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+          logger.info(`${signal} received, finishing documents in progress...`);
+          watcher.stop().then(() => process.exit(0));
+        });
+      }
+      return;
+    }
+
+    // "resume <jobId>" continues an interrupted run instead of starting a new one
+    const resumeJobId = positional[0] === 'resume' ? positional[1] : null;
+    if (positional[0] === 'resume' && !resumeJobId) {
+      throw new Error("Usage: resume <jobId>");
+    }
 
     // Get file path from arguments
-    const filePath = args[0] || "sample-multi-patient-lab-report.pdf";
+    const filePath = positional[0] || "sample-multi-patient-lab-report.pdf";
 
-    console.log(`Processing file: ${filePath}`);
-    console.log(`Configuration: ${processor.config.aws.region} region, ${processor.config.aws.s3BucketName} bucket`);
-    console.log("");
+    if (!resumeJobId) logger.info(`Processing file: ${filePath}`);
+    if (processor.config.storage.backend === 'filesystem') {
+      logger.info(`Configuration: filesystem storage in ${processor.config.storage.outputDir}`);
+    } else {
+      logger.info(`Configuration: ${processor.config.aws.region} region, ${processor.config.aws.s3BucketName} bucket`);
+    }
+
+    const splitPlan = flags.plan ? JSON.parse(fs.readFileSync(flags.plan, 'utf8')) : undefined;
+    if (splitPlan) logger.info(`Using split plan: ${flags.plan}`);
 
     // Process the report
-    const results = await processor.processReport(filePath);
+    const results = resumeJobId
+      ? await processor.resumeJob(resumeJobId)
+      : await processor.processReport(filePath, {
+        dryRun: Boolean(flags['dry-run']),
+        previewDir: flags['preview-dir'],
+        splitPlan
+      });
+
+    if (flags['export-plan'] && results.splitPlan) {
+      fs.writeFileSync(flags['export-plan'], JSON.stringify(results.splitPlan, null, 2));
+      logger.info(`Split plan written to ${flags['export-plan']}`);
+    }
 
     // Display summary
-    if (results.success) {
-      console.log("\n" + "=".repeat(55));
-      console.log("PROCESSING SUMMARY");
-      console.log("=".repeat(55));
-      console.log(`Success: ${results.success}`);
-      console.log(`Total Pages: ${results.totalPages}`);
-      console.log(`Reports Found: ${results.reportsFound}`);
-      console.log(`Reports Processed: ${results.reportsProcessed}`);
-      console.log(`Reports Failed: ${results.reportsFailed}`);
-      console.log(`Processing Time: ${results.processingTimeSeconds}s`);
+    if (results.skipped) {
+      logger.info("=".repeat(55));
+      logger.info(`Already processed: ${results.reportsFound} reports from an earlier run (use --overwrite to redo)`);
+      logger.info(`Manifest: ${results.manifestKey}`);
+    } else if (results.success) {
+      logger.info("=".repeat(55));
+      logger.info("PROCESSING SUMMARY");
+      logger.info("=".repeat(55));
+      logger.info(`Success: ${results.success}`);
+      logger.info(`Total Pages: ${results.totalPages}`);
+      logger.info(`Reports Found: ${results.reportsFound}`);
+      if (results.failedPages?.length > 0) {
+        logger.info(`Pages Failed: ${results.failedPages.map(p => p.pageNumber).join(', ')}`);
+      }
+      if (results.removedPages?.length > 0) {
+        logger.info(`Pages Removed: ${results.removedPages.map(p => `${p.pageNumber} (${p.type}: ${p.reason})`).join(', ')}`);
+      }
+      if (results.dryRun) {
+        logger.info(`Dry Run: nothing uploaded`);
+        logger.info(`Processing Time: ${results.processingTimeSeconds}s`);
+        printSplitPlan(results.splitPlan, logger);
+        if (results.previewFiles.length > 0) {
+          logger.info(`Preview files written: ${results.previewFiles.length}`);
+        }
+        return;
+      }
+      logger.info(`Reports Processed: ${results.reportsProcessed}`);
+      if (results.reportsSkipped > 0) {
+        logger.info(`Reports Skipped (already uploaded): ${results.reportsSkipped}`);
+      }
+      logger.info(`Reports Failed: ${results.reportsFailed}`);
+      logger.info(`Reports Held for Review: ${results.reportsForReview}`);
+      logger.info(`Processing Time: ${results.processingTimeSeconds}s`);
 
       if (results.results && results.results.length > 0) {
-        console.log("\nPatient Details:");
+        logger.info("Patient Details:");
         results.results.forEach((result, index) => {
-          if (result.success && result.metadata) {
-            console.log(`   ${index + 1}. ${result.metadata.name || 'Unknown'} (${result.metadata.patientId || 'No ID'}) - ${result.pageCount} pages`);
-            console.log(`       Uploaded: ${result.uploadResult?.filename || 'N/A'}`);
-            console.log(`       Confidence: ${result.metadata.confidence?.toFixed(1) || 'N/A'}%`);
+          if (result.skipped) {
+            logger.info(`   ${index + 1}. ${result.pageCount} pages, already uploaded`, { filename: result.uploadResult.filename });
+          } else if (result.success && result.metadata) {
+            logger.info(`   ${index + 1}. ${result.pageCount} pages`, {
+              name: result.metadata.name,
+              patientId: result.metadata.patientId,
+              filename: result.uploadResult?.filename
+            });
+            logger.info(`       Confidence: ${result.metadata.confidence?.toFixed(1) || 'N/A'}%`);
+            if (result.metadata.mpi) {
+              logger.info(`       Patient Index: ${result.metadata.mpi.status} (score ${result.metadata.mpi.score.toFixed(2)})`);
+            }
           } else {
-            console.log(`   ${index + 1}.  Failed: ${result.error}`);
+            logger.error(`   ${index + 1}. Failed`, { error: result.error });
           }
         });
       }
     } else {
-      console.log("\n Processing failed:");
-      console.log(`   Error: ${results.error}`);
-      console.log(`   Time: ${results.processingTimeSeconds}s`);
+      logger.error("Processing failed", { error: results.error, seconds: results.processingTimeSeconds });
     }
 
   } catch (error) {
-    console.error("\n Fatal error:", error.message);
+    logger.error("Fatal error", { error });
     process.exit(1);
   }
 }
@@ -1,9 +1,45 @@
+import { PatientMatcher } from './PatientMatcher.js';
+import { Logger } from '../utils/Logger.js';
+
+// How much each boundary decision can be trusted, from 0 (guess) to 1 (certain)
+const BOUNDARY_SCORES = {
+  document_start: 1,
+  manual_plan: 1,
+  separator_sheet: 0.9,
+  id_mismatch: 0.95,
+  id_match: 0.95,
+  id_ocr_match: 0.85,
+  name_mismatch: 0.75,
+  name_match: 0.75,
+  id_fuzzy_dob_match: 0.7,
+  id_fuzzy_dob_mismatch: 0.7,
+  name_fuzzy_dob_match: 0.65,
+  patient_detected: 0.7,
+  dob_mismatch: 0.6,
+  dob_match: 0.6,
+  id_name_conflict: 0.5,
+  id_fuzzy_name_match: 0.5,
+  id_fuzzy_name_mismatch: 0.5,
+  no_identifiers: 0.4,
+  incomparable_identifiers: 0.3,
+  numbered_continuation: 0.8,
+  page_numbering_incomplete: 0.5,
+  forced_max_pages: 0.2
+};
+
+const PAGE_FOOTER_PATTERN = /\bpage\s+(\d+)\s*(?:of|\/)\s*(\d+)\b/i;
+
 /**
  * Document splitting logic to separate patient reports
  */
 export class DocumentSplitter {
   constructor(config) {
     this.maxPagesPerPatient = config.processing.maxPagesPerPatient;
+    this.reviewThreshold = config.processing.reviewThreshold;
+    this.groupingMode = config.processing.groupingMode;
+    this.queryConfidenceThreshold = config.textract.queryConfidenceThreshold ?? 0;
+    this.patientMatcher = new PatientMatcher(config);
+    this.logger = Logger.fromConfig(config);
     this.patientIndicatorKeys = [
       'patient name', 'name', 'patient', 'patient id', 'mrn', 'medical record number'
     ];
@@ -14,40 +50,193 @@ export class DocumentSplitter {
       throw new Error("No page data provided for splitting");
     }
 
+    if (this.groupingMode === 'patient') {
+      return this._groupByPatient(pageDataArray);
+    }
+
     const reports = [];
     let current = [];
+    let currentDecisions = [];
     let currentPatientInfo = null;
+    let startReason = 'document_start';
+    let forcedFromPatientInfo = null;
+
+    for (const pageData of pageDataArray) {
+      const pageNumber = pageData.index + 1;
+
+      // A separator sheet always closes the current report
+      if (pageData.followsSeparator && current.length > 0) {
+        this.logger.info(`Separator sheet before page ${pageNumber}, splitting report`);
+        reports.push(this._finalizeReport(current, reports.length, currentDecisions));
+        current = [];
+        currentDecisions = [];
+        currentPatientInfo = null;
+        forcedFromPatientInfo = null;
+        startReason = 'separator_sheet';
+      }
 
-    for (const [index, pageData] of pageDataArray.entries()) {
       const pagePatientInfo = this._extractPatientInfo(pageData);
-      const isDifferentPatient = this._isDifferentPatient(currentPatientInfo, pagePatientInfo);
+      const decision = this._continuationDecision(current[current.length - 1], pageData, {
+        pageIndex: pageData.index,
+        ...this._evaluateBoundary(currentPatientInfo, pagePatientInfo)
+      });
 
       // Start new report if we find a different patient and current report has pages
-      if (isDifferentPatient && current.length > 0) {
-        console.log(`New patient detected at page ${index + 1}, splitting report`);
-        reports.push(this._finalizeReport(current, reports.length));
+      if (decision.isNewPatient && current.length > 0) {
+        this.logger.info(`New patient detected at page ${pageNumber} (${decision.reason}), splitting report`);
+        reports.push(this._finalizeReport(current, reports.length, currentDecisions));
         current = [];
+        currentDecisions = [decision];
         currentPatientInfo = pagePatientInfo;
-      } else if (!currentPatientInfo && pagePatientInfo) {
-        // First patient found
-        currentPatientInfo = pagePatientInfo;
-        console.log(`📄 First patient found at page ${index + 1}: ${pagePatientInfo.name || 'Unknown'}`);
+      } else {
+        // The first page of a report is explained by why the previous one ended
+        currentDecisions.push(
+          current.length === 0
+            ? this._startDecision(pageData.index, startReason, forcedFromPatientInfo, pagePatientInfo)
+            : decision
+        );
+
+        if (!currentPatientInfo && pagePatientInfo) {
+          // First patient found
+          currentPatientInfo = pagePatientInfo;
+          this.logger.info(`📄 First patient found at page ${pageNumber}`, { name: pagePatientInfo.name });
+        }
       }
 
       current.push(pageData);
 
       // Safety check to prevent runaway reports
       if (current.length >= this.maxPagesPerPatient) {
-        console.warn(`Report exceeded max pages (${this.maxPagesPerPatient}), forcing split at page ${index + 1}`);
-        reports.push(this._finalizeReport(current, reports.length));
+        this.logger.warn(`Report exceeded max pages (${this.maxPagesPerPatient}), forcing split at page ${pageNumber}`);
+        reports.push(this._finalizeReport(current, reports.length, currentDecisions));
         current = [];
+        currentDecisions = [];
+        forcedFromPatientInfo = currentPatientInfo;
         currentPatientInfo = null; // Reset for next report
+        startReason = 'forced_max_pages';
       }
     }
 
     // Add the last report if it has pages
     if (current.length > 0) {
-      reports.push(this._finalizeReport(current, reports.length));
+      reports.push(this._finalizeReport(current, reports.length, currentDecisions));
+    }
+
+    return this._validateReports(reports);
+  }
+
+  // Cluster pages by patient across the whole document, so interleaved pages end up in one report
+  _groupByPatient(pageDataArray) {
+    const groups = [];
+    let previousGroup = null;
+
+    for (const pageData of pageDataArray) {
+      const pageNumber = pageData.index + 1;
+      const pagePatientInfo = this._extractPatientInfo(pageData);
+
+      // Nothing continues across a separator sheet
+      if (pageData.followsSeparator) {
+        previousGroup = null;
+      }
+
+      // Pages without identifiers continue whichever patient the previous page belonged to
+      if (!pagePatientInfo && previousGroup) {
+        const decision = { pageIndex: pageData.index, ...this._evaluateBoundary(previousGroup.patientInfo, null) };
+        previousGroup.decisions.push(this._continuationDecision(previousGroup.pages[previousGroup.pages.length - 1], pageData, decision));
+        previousGroup.pages.push(pageData);
+        continue;
+      }
+
+      const candidates = groups
+        .filter(group => group.patientInfo && pagePatientInfo)
+        .map(group => ({ group, decision: this._evaluateBoundary(group.patientInfo, pagePatientInfo) }))
+        .filter(candidate => !candidate.decision.isNewPatient);
+      // Identifiers that cannot be compared keep a page with the one before it, never move it to an earlier patient
+      const inconclusive = candidates.filter(candidate => candidate.decision.reason === 'incomparable_identifiers');
+      const match = candidates
+        .filter(candidate => !inconclusive.includes(candidate) || candidate.group === previousGroup)
+        .sort((a, b) => b.decision.score - a.decision.score)[0];
+
+      if (match) {
+        if (match.group !== previousGroup) {
+          this.logger.info(`Page ${pageNumber} regrouped with earlier pages of the same patient`, {
+            name: match.group.patientInfo.name,
+            patientId: match.group.patientInfo.patientId
+          });
+        }
+        match.group.pages.push(pageData);
+        match.group.decisions.push({ pageIndex: pageData.index, ...match.decision });
+        this._fillPatientInfo(match.group.patientInfo, pagePatientInfo);
+        previousGroup = match.group;
+        continue;
+      }
+
+      let startDecision;
+      if (groups.length === 0) {
+        startDecision = this._decision(pageData.index, true, 'document_start');
+      } else if (pageData.followsSeparator) {
+        startDecision = this._decision(pageData.index, true, 'separator_sheet');
+      } else if (inconclusive.length > 0) {
+        // It may still belong to an earlier patient, so the new report goes to review
+        startDecision = this._decision(pageData.index, true, 'incomparable_identifiers');
+      } else {
+        startDecision = { pageIndex: pageData.index, ...this._evaluateBoundary(previousGroup?.patientInfo, pagePatientInfo) };
+      }
+
+      previousGroup = {
+        patientInfo: pagePatientInfo ? { ...pagePatientInfo } : null,
+        pages: [pageData],
+        decisions: [startDecision]
+      };
+      groups.push(previousGroup);
+    }
+
+    const reports = groups.map((group, reportIndex) => {
+      const pages = this._orderByPageNumber(group.pages);
+      return this._finalizeReport(pages, reportIndex, group.decisions);
+    });
+
+    return this._validateReports(reports);
+  }
+
+  // Build reports from an explicit split plan instead of detecting boundaries
+  applySplitPlan(pageDataArray, splitPlan) {
+    if (!pageDataArray || pageDataArray.length === 0) {
+      throw new Error("No page data provided for splitting");
+    }
+    if (!splitPlan || !Array.isArray(splitPlan.reports) || splitPlan.reports.length === 0) {
+      throw new Error("Split plan must contain a non-empty reports array");
+    }
+
+    const pagesByNumber = new Map(pageDataArray.map(page => [page.index + 1, page]));
+    const assigned = new Set();
+
+    const reports = splitPlan.reports.map((planReport, reportIndex) => {
+      const pageNumbers = this._planPageNumbers(planReport, reportIndex);
+
+      const pages = pageNumbers.map(pageNumber => {
+        if (assigned.has(pageNumber)) {
+          throw new Error(`Split plan assigns page ${pageNumber} to more than one report`);
+        }
+        const page = pagesByNumber.get(pageNumber);
+        if (!page) {
+          throw new Error(`Split plan report ${reportIndex + 1} references page ${pageNumber}, which was not extracted`);
+        }
+        assigned.add(pageNumber);
+        return page;
+      });
+
+      const decisions = pages.map(page => this._decision(page.index, true, 'manual_plan'));
+      const report = this._finalizeReport(pages, reportIndex, decisions);
+      if (planReport.metadata) {
+        report.metadataOverride = planReport.metadata;
+      }
+      return report;
+    });
+
+    const unassigned = [...pagesByNumber.keys()].filter(pageNumber => !assigned.has(pageNumber));
+    if (unassigned.length > 0) {
+      this.logger.warn('Split plan leaves pages unassigned, they will not be filed', { pages: unassigned });
     }
 
     return this._validateReports(reports);
@@ -69,18 +258,29 @@ export class DocumentSplitter {
   _extractPatientInfo(pageData) {
     if (!pageData) return null;
 
-    const { keyValuePairs, tables } = pageData;
+    const { keyValuePairs, tables, queryResults } = pageData;
     const patientInfo = {
       name: null,
       patientId: null,
       dob: null
     };
 
-    // Extract from key-value pairs first (most reliable)
+    // Textract query answers take priority over form keys
+    if (queryResults) {
+      for (const field of Object.keys(patientInfo)) {
+        const answer = queryResults[field];
+        if (answer?.text && answer.confidence >= this.queryConfidenceThreshold) {
+          patientInfo[field] = field === 'dob' ? this._cleanDobValue(answer.text) : this._cleanPatientValue(answer.text);
+        }
+      }
+    }
+
+    // Then key-value pairs
     if (keyValuePairs) {
       // Try to find patient name
       const nameKeys = ['patient name', 'name', 'patient', 'full name'];
       for (const key of nameKeys) {
+        if (patientInfo.name) break;
         if (keyValuePairs[key]) {
           patientInfo.name = this._cleanPatientValue(keyValuePairs[key]);
           break;
@@ -90,6 +290,7 @@ export class DocumentSplitter {
       // Try to find patient ID
       const idKeys = ['patient id', 'id', 'mrn', 'medical record number', 'patient #', 'account'];
       for (const key of idKeys) {
+        if (patientInfo.patientId) break;
         if (keyValuePairs[key]) {
           patientInfo.patientId = this._cleanPatientValue(keyValuePairs[key]);
           break;
@@ -99,8 +300,9 @@ export class DocumentSplitter {
       // Try to find DOB
       const dobKeys = ['dob', 'date of birth', 'birth date', 'birthdate'];
       for (const key of dobKeys) {
+        if (patientInfo.dob) break;
         if (keyValuePairs[key]) {
-          patientInfo.dob = this._cleanPatientValue(keyValuePairs[key]);
+          patientInfo.dob = this._cleanDobValue(keyValuePairs[key]);
           break;
         }
       }
@@ -116,38 +318,174 @@ export class DocumentSplitter {
       return null;
     }
 
+    // Compare and report DOBs in one format, whatever the page printed
+    if (patientInfo.dob) {
+      patientInfo.dobRaw = patientInfo.dob;
+      patientInfo.dob = this.patientMatcher.normalizeDob(patientInfo.dob);
+    }
+
     return patientInfo;
   }
 
-  _isDifferentPatient(currentPatient, newPatient) {
+  // Decide whether a page starts a new patient, and how sure that decision is
+  _evaluateBoundary(currentPatient, newPatient) {
+    // No identifiers on this page, assume the current patient continues
+    if (!newPatient) {
+      return this._score(false, 'no_identifiers');
+    }
+
     // If no current patient, any new patient info indicates a new patient
     if (!currentPatient) {
-      return !!newPatient;
+      return this._score(true, 'patient_detected');
     }
 
-    // If no new patient info found, assume same patient continues
-    if (!newPatient) {
-      return false;
-    }
+    const matcher = this.patientMatcher;
+    const dobsMatch = matcher.compareDobs(currentPatient.dob, newPatient.dob);
+    const nameSimilarity = matcher.compareNames(currentPatient.name, newPatient.name);
+    const namesMatch = nameSimilarity !== null ? nameSimilarity >= matcher.nameMatchThreshold : null;
 
-    // Compare patient identifiers
     // Patient ID is the most reliable identifier
-    if (currentPatient.patientId && newPatient.patientId) {
-      return currentPatient.patientId !== newPatient.patientId;
+    const idComparison = matcher.compareIds(currentPatient.patientId, newPatient.patientId);
+    if (idComparison === 'fuzzy') {
+      // Near-identical IDs are settled by DOB first, then by name
+      if (dobsMatch !== null) {
+        return this._score(!dobsMatch, dobsMatch ? 'id_fuzzy_dob_match' : 'id_fuzzy_dob_mismatch');
+      }
+      if (namesMatch !== null) {
+        return this._score(!namesMatch, namesMatch ? 'id_fuzzy_name_match' : 'id_fuzzy_name_mismatch');
+      }
+      return this._score(true, 'id_mismatch');
+    }
+    if (idComparison) {
+      const idsDiffer = idComparison === 'mismatch';
+      if (namesMatch !== null && namesMatch === idsDiffer) {
+        return this._score(idsDiffer, 'id_name_conflict');
+      }
+      if (idsDiffer) return this._score(true, 'id_mismatch');
+      return this._score(false, idComparison === 'ocr' ? 'id_ocr_match' : 'id_match');
     }
 
     // If no patient IDs, compare names
-    if (currentPatient.name && newPatient.name) {
-      return currentPatient.name !== newPatient.name;
+    if (nameSimilarity !== null) {
+      if (namesMatch) return this._score(false, 'name_match');
+      // A near-miss on the name is the same patient when the DOB agrees
+      if (nameSimilarity >= matcher.nameTieBreakThreshold && dobsMatch) {
+        return this._score(false, 'name_fuzzy_dob_match');
+      }
+      return this._score(true, 'name_mismatch');
     }
 
     // If we have DOB for both, compare that too
-    if (currentPatient.dob && newPatient.dob) {
-      return currentPatient.dob !== newPatient.dob;
+    if (dobsMatch !== null) {
+      return this._score(!dobsMatch, dobsMatch ? 'dob_match' : 'dob_mismatch');
     }
 
     // If we can't reliably compare, assume same patient to avoid over-splitting
-    return false;
+    return this._score(false, 'incomparable_identifiers');
+  }
+
+  // A page the identifiers cannot place continues the report with confidence when its printed
+  // "Page X of Y" follows on from the report's previous page
+  _continuationDecision(previousPage, pageData, decision) {
+    if (!previousPage || !['no_identifiers', 'incomparable_identifiers'].includes(decision.reason)) {
+      return decision;
+    }
+
+    const previous = this._extractPageNumber(previousPage);
+    const current = this._extractPageNumber(pageData);
+    if (!previous || !current || current.total !== previous.total || current.number !== previous.number + 1) {
+      return decision;
+    }
+    return this._decision(decision.pageIndex, false, 'numbered_continuation');
+  }
+
+  // A forced split that happens to land on a real patient change is a regular boundary
+  _startDecision(pageIndex, startReason, forcedFromPatientInfo, pagePatientInfo) {
+    if (startReason === 'forced_max_pages' && forcedFromPatientInfo && pagePatientInfo) {
+      const decision = this._evaluateBoundary(forcedFromPatientInfo, pagePatientInfo);
+      if (decision.isNewPatient) {
+        return { pageIndex, ...decision };
+      }
+    }
+    return this._decision(pageIndex, true, startReason);
+  }
+
+  _fillPatientInfo(target, source) {
+    for (const field of ['name', 'patientId', 'dob']) {
+      if (!target[field] && source[field]) target[field] = source[field];
+    }
+  }
+
+  // "Page X of Y" footer printed on the page, if OCR picked one up
+  _extractPageNumber(pageData) {
+    const match = pageData?.text?.match(PAGE_FOOTER_PATTERN);
+    if (!match) return null;
+    return { number: parseInt(match[1], 10), total: parseInt(match[2], 10) };
+  }
+
+  // Order pages by their printed page number; unnumbered pages stay right after their predecessor
+  _orderByPageNumber(pages) {
+    let previousKey = 0;
+    return pages
+      .map((page, position) => {
+        const pageNumber = this._extractPageNumber(page);
+        const key = pageNumber ? pageNumber.number : previousKey + 0.001;
+        previousKey = key;
+        return { page, key, position };
+      })
+      .sort((a, b) => (a.key - b.key) || (a.position - b.position))
+      .map(entry => entry.page);
+  }
+
+  // Check printed page numbers for gaps and duplicates; null when no page carries one
+  _checkPageNumbering(pages) {
+    const pageNumbers = pages.map(page => this._extractPageNumber(page)).filter(Boolean);
+    if (pageNumbers.length === 0) return null;
+
+    const numbers = pageNumbers.map(pageNumber => pageNumber.number);
+    const declaredTotal = Math.max(...pageNumbers.map(pageNumber => pageNumber.total));
+    const duplicates = [...new Set(numbers.filter((number, i) => numbers.indexOf(number) !== i))];
+    const missing = [];
+    for (let number = 1; number <= declaredTotal; number++) {
+      if (!numbers.includes(number)) missing.push(number);
+    }
+
+    return {
+      declaredTotal,
+      numbers,
+      missing,
+      duplicates,
+      complete: missing.length === 0 && duplicates.length === 0
+    };
+  }
+
+  _score(isNewPatient, reason) {
+    return { isNewPatient, reason, score: BOUNDARY_SCORES[reason] };
+  }
+
+  _decision(pageIndex, isNewPatient, reason) {
+    return { pageIndex, ...this._score(isNewPatient, reason) };
+  }
+
+  // 1-based page numbers for a plan entry given as `pages` or `startPage`/`endPage`
+  _planPageNumbers(planReport, reportIndex) {
+    let pageNumbers;
+    if (Array.isArray(planReport.pages)) {
+      pageNumbers = planReport.pages;
+    } else if (Number.isInteger(planReport.startPage) && Number.isInteger(planReport.endPage)) {
+      pageNumbers = [];
+      for (let page = planReport.startPage; page <= planReport.endPage; page++) {
+        pageNumbers.push(page);
+      }
+    } else {
+      throw new Error(`Split plan report ${reportIndex + 1} needs either pages or startPage/endPage`);
+    }
+
+    if (pageNumbers.length === 0 || !pageNumbers.every(page => Number.isInteger(page) && page > 0)) {
+      throw new Error(`Split plan report ${reportIndex + 1} has invalid page numbers`);
+    }
+
+    return pageNumbers;
   }
 
   _extractFromTables(tables, patientInfo) {
@@ -186,7 +524,7 @@ export class DocumentSplitter {
           if (!patientInfo.dob && dobKeys.some(key => cellLower.includes(key))) {
             const valueCell = row[index + 1] || cell.split(':')[1];
             if (valueCell && valueCell.trim() !== cellLower) {
-              patientInfo.dob = this._cleanPatientValue(valueCell);
+              patientInfo.dob = this._cleanDobValue(valueCell);
             }
           }
         });
@@ -199,9 +537,35 @@ export class DocumentSplitter {
     return value.trim().replace(/[^\w\s-]/g, '').trim();
   }
 
-  _finalizeReport(pages, reportIndex) {
+  // Dates keep their separators, "03/15/1985" is unreadable once stripped to "03151985"
+  _cleanDobValue(value) {
+    if (!value || typeof value !== 'string') return null;
+    return value.trim() || null;
+  }
+
+  _finalizeReport(pages, reportIndex, decisions) {
+    const pageNumbering = this._checkPageNumbering(pages);
+    const isManual = decisions.every(decision => decision.reason === 'manual_plan');
+    if (pageNumbering && !pageNumbering.complete && !isManual) {
+      decisions = [...decisions, this._decision(null, false, 'page_numbering_incomplete')];
+    }
+
+    // A report is only as trustworthy as its weakest boundary decision
+    const splitConfidence = Math.min(...decisions.map(decision => decision.score));
+    const reviewReasons = [...new Set(
+      decisions
+        .filter(decision => decision.score < this.reviewThreshold)
+        .map(decision => decision.reason)
+    )];
+
     return {
       reportIndex,
+      splitReason: decisions[0].reason,
+      splitConfidence,
+      needsReview: splitConfidence < this.reviewThreshold,
+      reviewReasons,
+      boundaryDecisions: decisions,
+      pageNumbering,
       pages,
       pageCount: pages.length,
       firstPageIndex: pages[0]?.index || 0,
@@ -211,10 +575,25 @@ export class DocumentSplitter {
     };
   }
 
+  // "1-3, 7" style list of the 1-based source pages in a report
+  _formatPageRanges(pages) {
+    const ranges = [];
+    pages.forEach(page => {
+      const pageNumber = page.index + 1;
+      const last = ranges[ranges.length - 1];
+      if (last && pageNumber === last.end + 1) {
+        last.end = pageNumber;
+      } else {
+        ranges.push({ start: pageNumber, end: pageNumber });
+      }
+    });
+    return ranges.map(range => range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`).join(', ');
+  }
+
   _validateReports(reports) {
     const validReports = reports.filter(report => {
       if (!report.pages || report.pages.length === 0) {
-        console.warn(`Report ${report.reportIndex} has no pages, skipping`);
+        this.logger.warn(`Report ${report.reportIndex} has no pages, skipping`);
         return false;
       }
       return true;
@@ -225,13 +604,24 @@ export class DocumentSplitter {
     }
 
     // Log splitting summary
-    console.log(`📄 Document split into ${validReports.length} patient reports:`);
+    this.logger.info(`📄 Document split into ${validReports.length} patient reports:`);
     validReports.forEach(report => {
       const firstPage = report.pages[0];
       const patientInfo = this._extractPatientInfo(firstPage);
-      const patientDesc = patientInfo?.name || patientInfo?.patientId || 'Unknown Patient';
-
-      console.log(`   Report ${report.reportIndex + 1}: ${report.pageCount} pages (${report.firstPageIndex + 1}-${report.lastPageIndex + 1}) - ${patientDesc}`);
+      const review = report.needsReview ? ` - NEEDS REVIEW (${report.reviewReasons.join(', ')})` : '';
+
+      this.logger.info(
+        `   Report ${report.reportIndex + 1}: ${report.pageCount} pages (${this._formatPageRanges(report.pages)}) - split confidence ${report.splitConfidence.toFixed(2)}${review}`,
+        { name: patientInfo?.name, patientId: patientInfo?.patientId }
+      );
+
+      const numbering = report.pageNumbering;
+      if (numbering && !numbering.complete) {
+        this.logger.warn(`      Page numbering incomplete (${numbering.declaredTotal} pages declared)`, {
+          missing: numbering.missing,
+          duplicates: numbering.duplicates
+        });
+      }
     });
 
     return validReports;
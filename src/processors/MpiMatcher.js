@@ -0,0 +1,271 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PatientMatcher } from './PatientMatcher.js';
+import { DateNormalizer } from '../utils/DateNormalizer.js';
+import { Logger } from '../utils/Logger.js';
+
+// How much an identifier match alone is worth, before name and DOB agreement
+const ID_MATCH_SCORES = {
+  match: 1,
+  ocr: 0.9,
+  fuzzy: 0.7
+};
+
+// Index fields filled in or corrected on a confident match
+const ENRICHED_FIELDS = ['name', 'dob', 'patientId', 'sex'];
+
+/**
+ * Checks extracted patient identities against a master patient index export (CSV or JSON)
+ */
+export class MpiMatcher {
+  constructor(config) {
+    this.indexPath = config.mpi.indexPath;
+    this.columns = config.mpi.columns;
+    this.correctFields = config.mpi.correctFields;
+    this.reviewOnNoMatch = config.mpi.reviewOnNoMatch;
+    this.patientMatcher = new PatientMatcher(config);
+    this.dateNormalizer = new DateNormalizer(config);
+    this.records = null;
+    this.logger = Logger.fromConfig(config);
+  }
+
+  // Read the index once; later calls reuse it
+  async load() {
+    if (this.records) return this.records;
+
+    let content;
+    try {
+      content = await fs.readFile(this.indexPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read patient index ${this.indexPath}: ${error.message}`, { cause: error });
+    }
+
+    const rows = path.extname(this.indexPath).toLowerCase() === '.json'
+      ? this._parseJson(content)
+      : this._parseCsv(content);
+
+    this.records = rows.map(row => this._toRecord(row)).filter(record => record.patientId || record.name);
+    this.byId = new Map(this.records.map(record => [this.patientMatcher.normalizeId(record.patientId), record]));
+    this.logger.info(`Loaded ${this.records.length} patients from index ${path.basename(this.indexPath)}`);
+
+    return this.records;
+  }
+
+  /**
+   * Match extracted metadata against the index. Returns
+   *   { status, score, method, indexPatientId, corrections, conflicts }
+   * where status is 'matched', 'conflict', 'ambiguous', 'no_match' or 'skipped',
+   * and corrections have already been applied to metadata unless they touch overriddenFields.
+   */
+  match(metadata) {
+    if (!this.records) {
+      throw new Error("Patient index is not loaded, call load() first");
+    }
+
+    const result = { status: 'no_match', score: 0, method: null, indexPatientId: null, corrections: [], conflicts: [] };
+    if (!metadata.patientId && !metadata.name) {
+      result.status = 'skipped';
+      return result;
+    }
+
+    const byId = metadata.patientId ? this._matchById(metadata) : null;
+    const matched = byId || this._matchByNameAndDob(metadata);
+    if (!matched) return result;
+
+    const { record, ...summary } = matched;
+    if (matched.conflicts?.length > 0) return { ...result, ...summary, status: 'conflict' };
+    if (matched.status === 'ambiguous') return { ...result, ...summary };
+
+    Object.assign(result, summary, { status: 'matched' });
+    if (this.correctFields) {
+      result.corrections = this._applyCorrections(metadata, record, matched.score);
+    }
+
+    return result;
+  }
+
+  // Conflicts and ambiguous matches always need a person; unmatched identities only when configured
+  needsReview(mpiResult) {
+    if (!mpiResult) return false;
+    if (mpiResult.status === 'conflict' || mpiResult.status === 'ambiguous') return true;
+    return mpiResult.status === 'no_match' && this.reviewOnNoMatch;
+  }
+
+  _matchById(metadata) {
+    const matcher = this.patientMatcher;
+    let record = this.byId.get(matcher.normalizeId(metadata.patientId));
+    let idMatch = record ? 'match' : null;
+
+    // No exact hit, look for the same ID with OCR confusions or a single misread character
+    if (!record) {
+      for (const candidate of this.records) {
+        const comparison = matcher.compareIds(metadata.patientId, candidate.patientId);
+        if (comparison === 'ocr' || (comparison === 'fuzzy' && !idMatch)) {
+          record = candidate;
+          idMatch = comparison;
+          if (comparison === 'ocr') break;
+        }
+      }
+    }
+    if (!record) return null;
+
+    const nameSimilarity = matcher.compareNames(metadata.name, record.name);
+    const dobsMatch = matcher.compareDobs(metadata.dob, record.dob);
+
+    // A near-miss ID only counts when the person behind it agrees
+    if (idMatch === 'fuzzy' && !(nameSimilarity >= matcher.nameMatchThreshold || dobsMatch === true)) {
+      return null;
+    }
+
+    const conflicts = [];
+    if (nameSimilarity !== null && nameSimilarity < matcher.nameTieBreakThreshold) {
+      conflicts.push({ field: 'name', extracted: metadata.name, indexed: record.name, reason: 'id_belongs_to_different_name' });
+    }
+    if (dobsMatch === false) {
+      conflicts.push({ field: 'dob', extracted: metadata.dob, indexed: record.dob, reason: 'dob_differs_from_index' });
+    }
+
+    const score = ID_MATCH_SCORES[idMatch] * (nameSimilarity ?? 0.9) * (dobsMatch === true ? 1 : 0.95);
+    return {
+      record,
+      conflicts,
+      score: Math.round(score * 100) / 100,
+      method: idMatch === 'match' ? 'mrn' : `mrn_${idMatch}`,
+      indexPatientId: record.patientId
+    };
+  }
+
+  _matchByNameAndDob(metadata) {
+    const matcher = this.patientMatcher;
+    if (!metadata.name || !metadata.dob) return null;
+
+    const candidates = this.records
+      .filter(record => matcher.compareDobs(metadata.dob, record.dob) === true)
+      .map(record => ({ record, similarity: matcher.compareNames(metadata.name, record.name) }))
+      .filter(candidate => candidate.similarity !== null && candidate.similarity >= matcher.nameMatchThreshold)
+      .sort((a, b) => b.similarity - a.similarity);
+    if (candidates.length === 0) return null;
+
+    const [best, runnerUp] = candidates;
+    const score = Math.round(best.similarity * 0.9 * 100) / 100;
+    if (runnerUp && runnerUp.similarity === best.similarity && runnerUp.record.patientId !== best.record.patientId) {
+      return { status: 'ambiguous', score, method: 'name_dob', indexPatientId: null };
+    }
+
+    return { record: best.record, conflicts: [], score, method: 'name_dob', indexPatientId: best.record.patientId };
+  }
+
+  _applyCorrections(metadata, record, score) {
+    const corrections = [];
+    const locked = metadata.overriddenFields || [];
+
+    for (const field of ENRICHED_FIELDS) {
+      const indexed = record[field];
+      if (!indexed || locked.includes(field) || !(field in metadata)) continue;
+      if (metadata[field] && this._sameValue(field, metadata[field], indexed)) continue;
+
+      corrections.push({ field, from: metadata[field], to: indexed, type: metadata[field] ? 'corrected' : 'filled' });
+      metadata.fields[field] = {
+        value: indexed,
+        raw: metadata.fields[field]?.raw ?? null,
+        confidence: score * 100,
+        source: 'mpi',
+        page: null,
+        location: null
+      };
+      metadata.extractionMethod[field] = 'mpi';
+      metadata[field] = indexed;
+    }
+
+    return corrections;
+  }
+
+  _sameValue(field, extracted, indexed) {
+    if (field === 'patientId') return this.patientMatcher.normalizeId(extracted) === this.patientMatcher.normalizeId(indexed);
+    return String(extracted).toUpperCase() === String(indexed).toUpperCase();
+  }
+
+  // Map an index row onto metadata field names using the configured column aliases
+  _toRecord(row) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(row)) {
+      normalized[this._normalizeColumn(key)] = value === null || value === undefined ? '' : String(value).trim();
+    }
+    const pick = field => (this.columns[field] || []).map(column => normalized[this._normalizeColumn(column)]).find(Boolean) || null;
+
+    const firstName = pick('firstName');
+    const lastName = pick('lastName');
+    const dob = pick('dob');
+
+    return {
+      patientId: pick('patientId'),
+      name: pick('name') || ([firstName, lastName].filter(Boolean).join(' ') || null),
+      dob: dob ? this.dateNormalizer.normalize(dob, { kind: 'birth' }) : null,
+      sex: pick('sex')?.charAt(0).toUpperCase() || null
+    };
+  }
+
+  _normalizeColumn(column) {
+    return column.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  _parseJson(content) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Patient index ${this.indexPath} is not valid JSON: ${error.message}`, { cause: error });
+    }
+
+    const rows = Array.isArray(parsed) ? parsed : parsed.patients;
+    if (!Array.isArray(rows)) {
+      throw new Error(`Patient index ${this.indexPath} must be an array or { "patients": [...] }`);
+    }
+    return rows;
+  }
+
+  // RFC 4180 style: quoted fields may hold commas, newlines and doubled quotes
+  _parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+
+    return body.map(cells => Object.fromEntries(header.map((column, index) => [column, cells[index] ?? ''])));
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Page classification to drop blank pages and detect separator sheets before splitting
+ */
+export class PageClassifier {
+  constructor(config) {
+    this.blankMaxChars = config.processing.blankMaxChars;
+    this.separatorMarkers = config.processing.separatorMarkers;
+    this.separatorMaxLines = config.processing.separatorMaxLines;
+  }
+
+  // Returns { type: 'content' | 'blank' | 'separator', reason }
+  classify(pageData) {
+    if (!pageData) {
+      throw new Error("No page data provided for classification");
+    }
+
+    const lines = (pageData.rawBlocks || []).filter(block => block.BlockType === "LINE");
+    const text = pageData.text || lines.map(line => line.Text).join("\n");
+    const characterCount = text.replace(/\s+/g, '').length;
+
+    if (lines.length === 0 && characterCount === 0) {
+      return { type: 'blank', reason: 'no_text_lines' };
+    }
+
+    if (characterCount <= this.blankMaxChars) {
+      return { type: 'blank', reason: 'low_text_density' };
+    }
+
+    // A separator is a sparse page carrying a marker, so reports that merely mention one are kept
+    const marker = this._findSeparatorMarker(text);
+    if (marker && lines.length <= this.separatorMaxLines) {
+      return { type: 'separator', reason: `marker:${marker}` };
+    }
+
+    return { type: 'content', reason: null };
+  }
+
+  /**
+   * Drop blank pages and separator sheets. Pages directly after a separator are
+   * flagged with followsSeparator so the splitter starts a new report there.
+   */
+  filterPages(pageDataArray) {
+    const pages = [];
+    const removedPages = [];
+    let afterSeparator = false;
+
+    for (const pageData of pageDataArray) {
+      const { type, reason } = this.classify(pageData);
+
+      if (type === 'content') {
+        pages.push(afterSeparator ? { ...pageData, followsSeparator: true } : pageData);
+        afterSeparator = false;
+        continue;
+      }
+
+      removedPages.push({ pageIndex: pageData.index, pageNumber: pageData.index + 1, type, reason });
+      if (type === 'separator') afterSeparator = true;
+    }
+
+    return { pages, removedPages };
+  }
+
+  _findSeparatorMarker(text) {
+    const normalized = text.toLowerCase();
+    for (const marker of this.separatorMarkers) {
+      if (marker instanceof RegExp ? marker.test(text) : normalized.includes(marker.toLowerCase())) {
+        return String(marker);
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,139 @@
+import { DateNormalizer } from '../utils/DateNormalizer.js';
+
+// Characters OCR commonly confuses in identifiers, mapped to one canonical form
+const OCR_CONFUSIONS = {
+  O: '0', Q: '0', D: '0',
+  I: '1', L: '1',
+  Z: '2',
+  S: '5',
+  G: '6',
+  B: '8'
+};
+
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'md', 'phd'];
+
+/**
+ * Tolerant comparison of patient identifiers (names, IDs, DOBs)
+ */
+export class PatientMatcher {
+  constructor(config) {
+    this.nameMatchThreshold = config.processing.nameMatchThreshold;
+    this.nameTieBreakThreshold = config.processing.nameTieBreakThreshold;
+    this.idMaxEditDistance = config.processing.idMaxEditDistance;
+    this.dateNormalizer = new DateNormalizer(config);
+  }
+
+  /**
+   * Compare two identifiers. Returns one of:
+   *   'match'    - identical after normalisation
+   *   'ocr'      - identical once OCR look-alikes (O/0, I/1, S/5, ...) are folded
+   *   'fuzzy'    - within idMaxEditDistance edits, needs a tie-breaker
+   *   'mismatch' - clearly different
+   */
+  compareIds(a, b) {
+    const left = this.normalizeId(a);
+    const right = this.normalizeId(b);
+    if (!left || !right) return null;
+
+    if (left === right) return 'match';
+    if (this._foldOcr(left) === this._foldOcr(right)) return 'ocr';
+    if (this._editDistance(left, right) <= this.idMaxEditDistance) return 'fuzzy';
+    return 'mismatch';
+  }
+
+  // Name similarity from 0 to 1, ignoring case, order, punctuation, suffixes and middle initials
+  compareNames(a, b) {
+    const left = this.normalizeName(a);
+    const right = this.normalizeName(b);
+    if (left.length === 0 || right.length === 0) return null;
+
+    const leftFull = left.filter(token => token.length > 1);
+    const rightFull = right.filter(token => token.length > 1);
+
+    // Initials cannot confirm a name, "J S" may be John Smith or Jane Stone, but different initials rule it out
+    if (leftFull.length === 0 || rightFull.length === 0) {
+      return this._initialsAgree(left, right) ? null : 0;
+    }
+    if (this._sameTokens(leftFull, rightFull)) return 1;
+
+    // "John Michael Smith" vs "John Smith": one name is the other plus a middle name
+    const [shorter, longer] = leftFull.length <= rightFull.length ? [leftFull, rightFull] : [rightFull, leftFull];
+    if (shorter.length >= 2 && shorter.every(token => longer.includes(token))) return 0.9;
+
+    const joinedLeft = leftFull.join(' ');
+    const joinedRight = rightFull.join(' ');
+    const maxLength = Math.max(joinedLeft.length, joinedRight.length);
+    return maxLength === 0 ? 0 : 1 - this._editDistance(joinedLeft, joinedRight) / maxLength;
+  }
+
+  // Returns true/false when both DOBs are present, null otherwise
+  compareDobs(a, b) {
+    const left = this.normalizeDob(a);
+    const right = this.normalizeDob(b);
+    if (!left || !right) return null;
+    return left === right;
+  }
+
+  namesMatch(a, b) {
+    const similarity = this.compareNames(a, b);
+    return similarity !== null && similarity >= this.nameMatchThreshold;
+  }
+
+  normalizeId(value) {
+    if (!value) return null;
+    return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') || null;
+  }
+
+  // Sorted lowercase name tokens without punctuation, accents or suffixes
+  normalizeName(value) {
+    if (!value) return [];
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z\s,'-]/g, ' ')
+      .split(/[\s,'-]+/)
+      .filter(token => token && !NAME_SUFFIXES.includes(token))
+      .sort();
+  }
+
+  // ISO date, so "01/02/1980" and "Jan 2 1980" compare equal
+  normalizeDob(value) {
+    return this.dateNormalizer.normalize(value, { kind: 'birth' });
+  }
+
+  _foldOcr(value) {
+    return value.replace(/[A-Z]/g, char => OCR_CONFUSIONS[char] || char);
+  }
+
+  // Whether the initials of the shorter name all appear among those of the longer one
+  _initialsAgree(a, b) {
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const remaining = longer.map(token => token[0]);
+    return shorter.every(token => {
+      const index = remaining.indexOf(token[0]);
+      if (index === -1) return false;
+      remaining.splice(index, 1);
+      return true;
+    });
+  }
+
+  _sameTokens(a, b) {
+    return a.length === b.length && a.every((token, index) => token === b[index]);
+  }
+
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
@@ -0,0 +1,359 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { createHash, randomUUID, timingSafeEqual } from "crypto";
+import { ReportProcessor } from "../ReportProcessor.js";
+import { JobQueue } from "../utils/JobQueue.js";
+import { parseMultipart } from "../utils/multipart.js";
+
+const RAW_PDF_TYPES = ['application/pdf', 'application/octet-stream'];
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function httpError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * HTTP ingestion API around ReportProcessor:
+ *   POST   /jobs              PDF as the raw body or a multipart "file" field (?dryRun=true to only plan)
+ *   GET    /jobs/:id          status and progress
+ *   GET    /jobs/:id/plan     split plan
+ *   GET    /jobs/:id/reports  per-report metadata and storage keys
+ *   DELETE /jobs/:id          cancel a queued or running job
+ *   GET    /health
+ */
+export class ApiServer {
+  constructor(config, processor = null) {
+    this.config = config;
+    this.host = config.server.host;
+    this.port = config.server.port;
+    this.maxBodyBytes = config.server.maxBodyBytes;
+    this.apiKeys = config.server.apiKeys || [];
+    this.authenticate = config.server.authenticate;
+    this.uploadDir = path.resolve(config.server.uploadDir);
+    this.jobRetentionMs = config.server.jobRetentionMs;
+
+    this.processor = processor || new ReportProcessor(config);
+    this.logger = this.processor.logger;
+    this.queue = new JobQueue({ concurrency: config.server.concurrency });
+    this.jobs = new Map();
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.sweepTimer = null;
+  }
+
+  async start() {
+    if (!this.authenticate && this.apiKeys.length === 0) {
+      this.logger.warn('No API keys or authenticate hook configured, the API accepts unauthenticated requests');
+    }
+
+    await fs.promises.mkdir(this.uploadDir, { recursive: true });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    // Finished jobs (and their results, which hold PHI) are only kept for jobRetentionMs
+    this.sweepTimer = setInterval(() => this._sweepJobs(), Math.min(this.jobRetentionMs, 60 * 1000));
+    this.sweepTimer.unref();
+
+    const { address, port } = this.server.address();
+    this.port = port;
+    this.logger.info(`API listening on http://${address}:${port}`, { concurrency: this.queue.concurrency });
+  }
+
+  // Stop accepting requests, drop queued jobs and let running ones finish
+  async stop() {
+    clearInterval(this.sweepTimer);
+    const closed = new Promise(resolve => this.server.close(resolve));
+    this.queue.clear();
+    await this.queue.onIdle();
+    this.server.closeIdleConnections?.();
+    await closed;
+    this.logger.info('API stopped');
+  }
+
+  async _handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const segments = url.pathname.split('/').filter(Boolean);
+
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return this._send(res, 200, { status: 'ok', queued: this.queue.queuedCount, running: this.queue.runningCount });
+      }
+
+      await this._authorize(req);
+
+      if (segments[0] !== 'jobs' || segments.length > 3) {
+        throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+      }
+      if (segments.length === 1) {
+        if (req.method !== 'POST') throw httpError(405, `${req.method} is not allowed on /jobs`);
+        return await this._createJob(req, res, url);
+      }
+
+      const job = this.jobs.get(segments[1]);
+      if (!job) throw httpError(404, `Unknown job ${segments[1]}`);
+
+      if (segments.length === 2 && req.method === 'GET') return this._send(res, 200, this._jobStatus(job));
+      if (segments.length === 2 && req.method === 'DELETE') return this._cancelJob(res, job);
+      if (segments[2] === 'plan' && req.method === 'GET') return this._sendPlan(res, job);
+      if (segments[2] === 'reports' && req.method === 'GET') return this._sendReports(res, job);
+
+      throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        this.logger.error('Request failed', { method: req.method, error });
+      }
+      // Drain what's left of a rejected upload so the client sees the response
+      req.resume();
+      this._send(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  // The authenticate hook decides if configured; otherwise an X-API-Key or Bearer token must match
+  async _authorize(req) {
+    if (this.authenticate) {
+      if (!(await this.authenticate(req))) throw httpError(401, 'Unauthorized');
+      return;
+    }
+    if (this.apiKeys.length === 0) return;
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+    const presented = req.headers['x-api-key'] || bearer;
+    if (!presented || !this.apiKeys.some(key => this._sameSecret(presented, key))) {
+      throw httpError(401, 'Unauthorized');
+    }
+  }
+
+  // Compare digests so neither the length nor the content of a key leaks through timing
+  _sameSecret(presented, expected) {
+    const digest = value => createHash('sha256').update(String(value)).digest();
+    return timingSafeEqual(digest(presented), digest(expected));
+  }
+
+  async _createJob(req, res, url) {
+    const contentType = (req.headers['content-type'] || '').toLowerCase();
+    const body = await this._readBody(req);
+
+    let pdf;
+    let filename = req.headers['x-filename'] || null;
+    if (contentType.startsWith('multipart/form-data')) {
+      let parts;
+      try {
+        parts = parseMultipart(body, req.headers['content-type']);
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+      const part = parts.find(candidate => candidate.name === 'file') || parts.find(candidate => candidate.filename);
+      if (!part) throw httpError(400, 'Multipart body has no "file" field');
+      pdf = part.data;
+      filename = part.filename || filename;
+    } else if (RAW_PDF_TYPES.some(type => contentType.startsWith(type))) {
+      pdf = body;
+    } else {
+      throw httpError(415, `Send the PDF as ${RAW_PDF_TYPES.join(' or ')}, or as multipart/form-data`);
+    }
+
+    if (pdf.length === 0 || pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw httpError(400, 'Uploaded file is not a PDF');
+    }
+
+    const id = randomUUID();
+    const uploadPath = path.join(this.uploadDir, `${id}.pdf`);
+    await fs.promises.writeFile(uploadPath, pdf, { mode: 0o600 });
+
+    const job = {
+      id,
+      status: 'queued',
+      dryRun: url.searchParams.get('dryRun') === 'true',
+      filename: filename ? path.basename(filename) : null,
+      size: pdf.length,
+      uploadPath,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { pages: null, reports: null },
+      result: null,
+      error: null
+    };
+    this.jobs.set(id, job);
+
+    this.queue.push(id, signal => this._runJob(job, signal)).catch(error => {
+      // processReport reports its own failures, so this is a cancellation before the start or a bug
+      return this._finishJob(job, error.name === 'AbortError' ? 'cancelled' : 'failed', error.message);
+    });
+
+    this.logger.info(`Job ${id} queued`, { size: pdf.length, dryRun: job.dryRun, queued: this.queue.queuedCount });
+    res.setHeader('Location', `/jobs/${id}`);
+    this._send(res, 202, this._jobStatus(job));
+  }
+
+  async _runJob(job, signal) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const result = await this.processor.processReport(job.uploadPath, {
+      dryRun: job.dryRun,
+      // Keys, tags and the plan name the file as it was uploaded, not by its upload ID
+      sourceName: job.filename || undefined,
+      // Uploads of the same file name still get keys of their own, and logs and keys match the job ID
+      documentId: job.id,
+      signal,
+      onProgress: ({ stage, done, total }) => {
+        job.progress[stage] = { done, total };
+      }
+    });
+
+    job.result = result;
+    const status = signal.aborted ? 'cancelled' : result.success ? 'completed' : 'failed';
+    await this._finishJob(job, status, result.error || null);
+  }
+
+  async _finishJob(job, status, error) {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    this.logger.info(`Job ${job.id} ${status}`, { error: error || undefined });
+
+    // After a failure, or a run that lost pages or reports, the upload and the job's checkpoints
+    // are kept until the job is swept, so "resume <jobId>" can still finish the run
+    const incomplete = job.result?.failedPages?.length > 0 || job.result?.reportsFailed > 0;
+    if ((status === 'completed' && !incomplete) || (status === 'cancelled' && !job.startedAt)) {
+      await this._removeUpload(job);
+    }
+  }
+
+  _cancelJob(res, job) {
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw httpError(409, `Job ${job.id} is already ${job.status}`);
+    }
+
+    const outcome = this.queue.cancel(job.id);
+    if (outcome === 'aborted') job.status = 'cancelling';
+    this._send(res, 202, this._jobStatus(job));
+  }
+
+  _sendPlan(res, job) {
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      throw httpError(409, `Job ${job.id} is ${job.status}, the split plan is not ready`);
+    }
+    if (!job.result?.splitPlan) {
+      throw httpError(404, `Job ${job.id} produced no split plan`);
+    }
+    this._send(res, 200, job.result.splitPlan);
+  }
+
+  _sendReports(res, job) {
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      throw httpError(409, `Job ${job.id} is ${job.status}, reports are not ready`);
+    }
+
+    const reports = (job.result?.results || []).map(report => ({
+      reportIndex: report.reportIndex,
+      success: report.success,
+      skipped: Boolean(report.skipped),
+      needsReview: Boolean(report.needsReview),
+      pageCount: report.pageCount,
+      filename: report.uploadResult?.filename || null,
+      location: report.uploadResult?.location || null,
+      sha256: report.sha256 || null,
+      metadata: report.metadata || null,
+      error: report.error || null
+    }));
+    this._send(res, 200, { jobId: job.id, reports });
+  }
+
+  _jobStatus(job) {
+    const result = job.result;
+    return {
+      id: job.id,
+      status: job.status,
+      dryRun: job.dryRun,
+      filename: job.filename,
+      size: job.size,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      documentId: result?.documentId || null,
+      // Checkpointed run to pass to "resume" while the job is kept
+      jobId: result?.jobId || null,
+      summary: result ? {
+        skipped: Boolean(result.skipped),
+        totalPages: result.totalPages ?? null,
+        failedPages: result.failedPages?.length ?? 0,
+        reportsFound: result.reportsFound ?? null,
+        reportsProcessed: result.reportsProcessed ?? null,
+        reportsSkipped: result.reportsSkipped ?? null,
+        reportsFailed: result.reportsFailed ?? null,
+        reportsForReview: result.reportsForReview ?? null
+      } : null,
+      error: job.error,
+      links: {
+        self: `/jobs/${job.id}`,
+        plan: `/jobs/${job.id}/plan`,
+        reports: `/jobs/${job.id}/reports`
+      }
+    };
+  }
+
+  // Buffer the request body, refusing anything over maxBodyBytes
+  async _readBody(req) {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > this.maxBodyBytes) {
+      throw httpError(413, `Request body exceeds ${this.maxBodyBytes} bytes`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw httpError(413, `Request body exceeds ${this.maxBodyBytes} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  _send(res, statusCode, body) {
+    if (res.headersSent) return;
+    const payload = JSON.stringify(body);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Cache-Control': 'no-store'
+    });
+    res.end(payload);
+  }
+
+  async _sweepJobs() {
+    const cutoff = Date.now() - this.jobRetentionMs;
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        await this._removeUpload(job);
+        await this._removeCheckpoints(job);
+      }
+    }
+  }
+
+  // Page checkpoints hold extracted PHI, so they go with the job
+  async _removeCheckpoints(job) {
+    const jobId = job.result?.jobId;
+    if (!jobId || !this.processor.jobStore) return;
+    await this.processor.jobStore.remove(jobId).catch(error => {
+      this.logger.warn(`Could not remove checkpoints for job ${job.id}`, { error });
+    });
+  }
+
+  async _removeUpload(job) {
+    await fs.promises.rm(job.uploadPath, { force: true }).catch(error => {
+      this.logger.warn(`Could not remove upload for job ${job.id}`, { error });
+    });
+  }
+}
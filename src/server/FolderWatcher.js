@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+import { ReportProcessor } from "../ReportProcessor.js";
+import { JobQueue } from "../utils/JobQueue.js";
+
+// '*' and '?' wildcards, matched case-insensitively against the file name
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Hot-folder daemon: polls a directory for PDFs dropped by scanners, processes each one
+ * once its size and mtime have stopped changing, then moves it to processed/ or failed/
+ * together with a <name>.result.json describing the run.
+ */
+export class FolderWatcher {
+  constructor(config, processor = null) {
+    this.config = config;
+    this.dir = path.resolve(config.watch.dir);
+    this.processedDir = path.resolve(this.dir, config.watch.processedDir);
+    this.failedDir = path.resolve(this.dir, config.watch.failedDir);
+    this.pollIntervalMs = config.watch.pollIntervalMs;
+    this.stableMs = config.watch.stableMs;
+    this.patterns = config.watch.patterns.map(globToRegExp);
+
+    this.processor = processor || new ReportProcessor(config);
+    this.logger = this.processor.logger;
+    this.queue = new JobQueue({ concurrency: config.watch.concurrency });
+    // name -> { size, mtimeMs, since } for files still being watched for stability
+    this.candidates = new Map();
+    // names queued or being processed, so a slow document is not picked up twice
+    this.claimed = new Set();
+    this.pollTimer = null;
+    this.polling = null;
+    this.stopping = false;
+  }
+
+  async start() {
+    const stats = await fs.promises.stat(this.dir).catch(error => {
+      throw new Error(`Watch directory ${this.dir} is not accessible: ${error.message}`, { cause: error });
+    });
+    if (!stats.isDirectory()) {
+      throw new Error(`Watch directory ${this.dir} is not a directory`);
+    }
+
+    await fs.promises.mkdir(this.processedDir, { recursive: true });
+    await fs.promises.mkdir(this.failedDir, { recursive: true });
+
+    this.logger.info(`Watching ${this.dir}`, {
+      patterns: this.config.watch.patterns.join(','),
+      pollIntervalMs: this.pollIntervalMs,
+      stableMs: this.stableMs,
+      concurrency: this.queue.concurrency
+    });
+    this._schedulePoll(0);
+  }
+
+  // Stop polling and leave queued files in the folder for the next start; documents in flight are finished
+  async stop() {
+    this.stopping = true;
+    clearTimeout(this.pollTimer);
+    await this.polling;
+    this.queue.clear();
+    await this.queue.onIdle();
+    this.logger.info('Watcher stopped');
+  }
+
+  _schedulePoll(delay) {
+    if (this.stopping) return;
+    this.pollTimer = setTimeout(() => {
+      this.polling = this._poll()
+        .catch(error => this.logger.error('Polling the watch directory failed', { error }))
+        .finally(() => this._schedulePoll(this.pollIntervalMs));
+    }, delay);
+  }
+
+  async _poll() {
+    const entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+    const seen = new Set();
+    const now = Date.now();
+
+    for (const entry of entries) {
+      const name = entry.name;
+      if (!entry.isFile() || name.startsWith('.') || this.claimed.has(name)) continue;
+      if (!this.patterns.some(pattern => pattern.test(name))) continue;
+      seen.add(name);
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(path.join(this.dir, name));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      // A file counts as fully written once its size and mtime held still for stableMs
+      const previous = this.candidates.get(name);
+      if (!previous || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs) {
+        this.candidates.set(name, { size: stats.size, mtimeMs: stats.mtimeMs, since: now });
+        continue;
+      }
+      if (stats.size === 0 || now - previous.since < this.stableMs) continue;
+
+      this.candidates.delete(name);
+      this._enqueue(name);
+    }
+
+    for (const name of this.candidates.keys()) {
+      if (!seen.has(name)) this.candidates.delete(name);
+    }
+  }
+
+  _enqueue(name) {
+    this.claimed.add(name);
+    this.logger.info(`Queued ${name}`, { queued: this.queue.queuedCount + 1 });
+
+    this.queue.push(name, () => this._processFile(name))
+      .catch(error => {
+        // A cleared queue leaves the file where it is; anything else is a bug in _processFile
+        if (error.name !== 'AbortError') {
+          this.logger.error(`Could not process ${name}`, { error });
+        }
+      })
+      .finally(() => this.claimed.delete(name));
+  }
+
+  async _processFile(name) {
+    const sourcePath = path.join(this.dir, name);
+    const startedAt = new Date().toISOString();
+
+    let result;
+    try {
+      result = await this.processor.processReport(sourcePath);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    // A document with failed pages or reports goes to failed/; dropping it in again only redoes what failed
+    const succeeded = result.success && !(result.reportsFailed > 0) && !(result.failedPages?.length > 0);
+    const targetDir = succeeded ? this.processedDir : this.failedDir;
+    const targetPath = await this._moveSource(sourcePath, targetDir);
+    await this._relocateJob(result.jobId, targetPath);
+
+    await fs.promises.writeFile(
+      `${targetPath}.result.json`,
+      JSON.stringify(this._summarize(name, result, startedAt), null, 2),
+      { mode: 0o600 }
+    );
+
+    this.logger[succeeded ? 'info' : 'warn'](`${name} ${succeeded ? 'processed' : 'failed'}`, {
+      movedTo: path.relative(this.dir, targetPath),
+      error: result.error || undefined
+    });
+  }
+
+  // Move without overwriting an earlier document of the same name
+  async _moveSource(sourcePath, targetDir) {
+    const { name, ext } = path.parse(sourcePath);
+    let targetPath = path.join(targetDir, `${name}${ext}`);
+    if (await this._exists(targetPath)) {
+      targetPath = path.join(targetDir, `${name}_${new Date().toISOString().replace(/[:.]/g, '-')}${ext}`);
+    }
+    await fs.promises.rename(sourcePath, targetPath);
+    return targetPath;
+  }
+
+  // An incomplete run keeps its checkpoints; point them at the moved source so "resume <jobId>" still finds it
+  async _relocateJob(jobId, targetPath) {
+    const jobStore = this.processor.jobStore;
+    if (!jobId || !jobStore) return;
+
+    let job;
+    try {
+      job = await jobStore.load(jobId);
+    } catch {
+      // Completed jobs are removed once they finish
+      return;
+    }
+    job.source = targetPath;
+    await jobStore.save(job);
+  }
+
+  async _exists(filePath) {
+    return fs.promises.access(filePath).then(() => true, () => false);
+  }
+
+  // Run outcome and output keys only; patient metadata stays out of the shared folder
+  _summarize(name, result, startedAt) {
+    return {
+      source: name,
+      success: result.success,
+      skipped: Boolean(result.skipped),
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      documentId: result.documentId || null,
+      jobId: result.jobId || null,
+      fingerprint: result.fingerprint || null,
+      manifestKey: result.manifestKey || null,
+      totalPages: result.totalPages ?? null,
+      failedPages: result.failedPages?.length ?? 0,
+      reportsFound: result.reportsFound ?? null,
+      reportsProcessed: result.reportsProcessed ?? null,
+      reportsSkipped: result.reportsSkipped ?? null,
+      reportsFailed: result.reportsFailed ?? null,
+      reportsForReview: result.reportsForReview ?? null,
+      processingTimeSeconds: result.processingTimeSeconds ?? null,
+      reports: (result.results || []).map(report => ({
+        reportIndex: report.reportIndex,
+        success: report.success,
+        skipped: Boolean(report.skipped),
+        needsReview: Boolean(report.needsReview),
+        pageCount: report.pageCount,
+        filename: report.uploadResult?.filename || null,
+        sha256: report.sha256 || null,
+        error: report.error || null
+      })),
+      error: result.error || null
+    };
+  }
+}
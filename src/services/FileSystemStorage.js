@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import { StorageBackend } from "./StorageBackend.js";
+
+/**
+ * Local filesystem sink writing each report PDF with a JSON metadata sidecar
+ */
+export class FileSystemStorage extends StorageBackend {
+  constructor(config) {
+    super(config);
+    this.outputDir = path.resolve(config.storage.outputDir);
+  }
+
+  async uploadReport(pdfBytes, metadata, reportIndex, options = {}) {
+    this._validateUpload(pdfBytes, metadata);
+
+    const filename = this.getFilename(metadata, reportIndex, options);
+    const fileMetadata = this._buildS3Metadata(metadata);
+
+    const pdfPath = this._resolvePath(filename);
+    const sidecarPath = this._sidecarPath(pdfPath);
+
+    try {
+      await fs.promises.mkdir(path.dirname(pdfPath), { recursive: true });
+      // 'wx' fails if the file exists, so a colliding key never replaces another document's report
+      await fs.promises.writeFile(pdfPath, pdfBytes, { flag: this._allowsOverwrite(options) ? 'w' : 'wx' });
+      await fs.promises.writeFile(sidecarPath, JSON.stringify(fileMetadata, null, 2));
+
+      return {
+        success: true,
+        filename,
+        metadata: fileMetadata,
+        location: pdfPath,
+        sidecar: sidecarPath,
+        size: pdfBytes.length
+      };
+    } catch (error) {
+      if (error.code === 'EEXIST') throw this._collisionError(filename, error);
+      throw new Error(`Filesystem write failed for ${filename}: ${error.message}`);
+    }
+  }
+
+  async uploadArtifact(filename, body, contentType) {
+    if (!filename || !body) {
+      throw new Error("Filename and body are required for artifact upload");
+    }
+
+    const filePath = this._resolvePath(filename);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+
+      return {
+        success: true,
+        filename,
+        location: filePath,
+        size: Buffer.byteLength(body)
+      };
+    } catch (error) {
+      throw new Error(`Filesystem write failed for ${filename}: ${error.message}`);
+    }
+  }
+
+  async readArtifact(filename) {
+    try {
+      return await fs.promises.readFile(this._resolvePath(filename), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Filesystem read failed for ${filename}: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Set custom output directory
+  setOutputDir(outputDir) {
+    if (!outputDir || typeof outputDir !== 'string') {
+      throw new Error("Valid output directory is required");
+    }
+    this.outputDir = path.resolve(outputDir);
+  }
+
+  _resolvePath(filename) {
+    const resolved = path.resolve(this.outputDir, filename);
+    if (!resolved.startsWith(this.outputDir + path.sep)) {
+      throw new Error(`Refusing to write outside output directory: ${filename}`);
+    }
+    return resolved;
+  }
+
+  _sidecarPath(pdfPath) {
+    return pdfPath.replace(/\.pdf$/i, '') + '.json';
+  }
+}
@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Local job state for resumable processing: <stateDir>/<jobId>/job.json plus one
+ * checkpoint per extracted page in pages/, written as processing happens.
+ *
+ * job.json holds { jobId, source, fingerprint, options, status, totalPages, reports, createdAt, updatedAt }
+ * where reports maps a reportIndex to { pages, status, filename, size, sha256, error }.
+ */
+export class JobStore {
+  constructor(config) {
+    this.dir = path.resolve(config.jobs.stateDir);
+    this.keepCompleted = config.jobs.keepCompleted;
+  }
+
+  async create({ jobId, source, fingerprint, totalPages, options = {} }) {
+    const job = {
+      jobId,
+      source: path.resolve(source),
+      fingerprint,
+      options,
+      status: 'running',
+      totalPages,
+      reports: {},
+      createdAt: new Date().toISOString(),
+      updatedAt: null
+    };
+    await this.save(job);
+    return job;
+  }
+
+  async load(jobId) {
+    let content;
+    try {
+      content = await fs.promises.readFile(path.join(this._jobDir(jobId), 'job.json'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Unknown job ${jobId} (no state in ${this.dir})`);
+      }
+      throw error;
+    }
+    return JSON.parse(content);
+  }
+
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+    await this._writeJson(path.join(this._jobDir(job.jobId), 'job.json'), job);
+  }
+
+  // Page bytes are cut from the source PDF again on resume, so only the extracted data is kept
+  async savePage(jobId, pageData) {
+    const { bytes, fromCache, ...data } = pageData;
+    await this._writeJson(this._pagePath(jobId, pageData.index), data);
+  }
+
+  // Checkpointed pages by page index
+  async loadPages(jobId) {
+    const pagesDir = path.join(this._jobDir(jobId), 'pages');
+    let names;
+    try {
+      names = await fs.promises.readdir(pagesDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    const pages = new Map();
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      try {
+        const page = JSON.parse(await fs.promises.readFile(path.join(pagesDir, name), 'utf8'));
+        pages.set(page.index, page);
+      } catch {
+        // A checkpoint cut short by a crash is redone
+      }
+    }
+    return pages;
+  }
+
+  // Record how a report ended; completed reports are not uploaded again on resume
+  async recordReport(job, reportIndex, entry) {
+    job.reports[reportIndex] = entry;
+    await this.save(job);
+  }
+
+  async finish(job, status) {
+    job.status = status;
+    if (status === 'completed' && !this.keepCompleted) {
+      await this.remove(job.jobId);
+      return;
+    }
+    await this.save(job);
+  }
+
+  async remove(jobId) {
+    await fs.promises.rm(this._jobDir(jobId), { recursive: true, force: true });
+  }
+
+  _jobDir(jobId) {
+    if (!/^[\w-]+$/.test(jobId)) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return path.join(this.dir, jobId);
+  }
+
+  _pagePath(jobId, pageIndex) {
+    return path.join(this._jobDir(jobId), 'pages', `${String(pageIndex).padStart(5, '0')}.json`);
+  }
+
+  // Write to a temp file and rename, so a killed process never leaves half a file behind
+  async _writeJson(filePath, value) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(value));
+    await fs.promises.rename(tempPath, filePath);
+  }
+}
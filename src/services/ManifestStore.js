@@ -0,0 +1,109 @@
+/**
+ * Run manifests kept next to the reports, one per source document fingerprint.
+ *
+ * A manifest records the source, each report's page range, output key, checksum and status,
+ * so a re-run of the same PDF can skip or overwrite earlier uploads instead of duplicating them.
+ */
+export class ManifestStore {
+  constructor(config, storage) {
+    this.storage = storage;
+    this.policy = config.idempotency.policy;
+    this.prefix = config.idempotency.manifestPrefix;
+  }
+
+  keyFor(fingerprint) {
+    return `${this.prefix}${fingerprint}.json`;
+  }
+
+  // Manifest of the last run for this document, or null if it was never processed
+  async load(fingerprint) {
+    const body = await this.storage.readArtifact(this.keyFor(fingerprint));
+    if (!body) return null;
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Run manifest ${this.keyFor(fingerprint)} is not valid JSON: ${error.message}`, { cause: error });
+    }
+  }
+
+  async save(manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    await this.storage.uploadArtifact(this.keyFor(manifest.fingerprint), JSON.stringify(manifest, null, 2), 'application/json');
+  }
+
+  create({ fingerprint, source, documentId, totalPages }, previous) {
+    return {
+      version: 1,
+      fingerprint,
+      source,
+      documentId,
+      previousDocumentId: previous?.documentId || null,
+      policy: this.policy,
+      status: 'running',
+      totalPages,
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      reports: [],
+      staleKeys: [],
+      failedPages: []
+    };
+  }
+
+  /**
+   * Add the split reports to the manifest and decide per report against the previous run:
+   * { entry, filename, skip } where filename is the earlier key to overwrite (or null for a new one)
+   * and skip is set when the report is already uploaded and the policy is 'skip'.
+   * Earlier outputs that no report maps onto any more are listed in manifest.staleKeys.
+   */
+  planReports(manifest, previous, reports, reviewPrefix) {
+    const previousEntries = new Map((previous?.reports || []).map(entry => [entry.reportIndex, entry]));
+    const reused = new Set();
+
+    const decisions = reports.map(report => {
+      const pages = report.pages.map(page => page.index + 1);
+      const reviewStatus = report.needsReview ? 'pending_review' : 'final';
+      const earlier = previousEntries.get(report.reportIndex);
+
+      // Same pages filed the same way is the same report; anything else gets a fresh key
+      const sameReport = earlier?.key &&
+        earlier.pages.join(',') === pages.join(',') &&
+        earlier.reviewStatus === reviewStatus &&
+        earlier.key.startsWith(reviewPrefix) === report.needsReview;
+      if (sameReport) reused.add(earlier.key);
+
+      const skip = sameReport && ['uploaded', 'skipped'].includes(earlier.status) && this.policy === 'skip';
+      const entry = {
+        reportIndex: report.reportIndex,
+        pages,
+        startPage: pages[0],
+        endPage: pages[pages.length - 1],
+        reviewStatus,
+        status: skip ? 'skipped' : 'pending',
+        key: sameReport ? earlier.key : null,
+        sha256: skip ? earlier.sha256 : null,
+        size: skip ? earlier.size : null,
+        artifacts: skip ? earlier.artifacts : [],
+        error: null
+      };
+      manifest.reports.push(entry);
+
+      return { entry, filename: sameReport ? earlier.key : null, skip };
+    });
+
+    const earlierKeys = [...(previous?.staleKeys || []), ...(previous?.reports || []).map(entry => entry.key)];
+    manifest.staleKeys = [...new Set(earlierKeys)].filter(key => key && !reused.has(key));
+
+    return decisions;
+  }
+
+  // Completed when every page was extracted and every report is uploaded (now or by an earlier run),
+  // partial otherwise; a partial document is processed again on a re-run so its missing pages are retried
+  finish(manifest, failedPages = []) {
+    const done = manifest.reports.every(entry => entry.status === 'uploaded' || entry.status === 'skipped');
+    manifest.failedPages = failedPages.map(page => page.pageNumber);
+    manifest.status = done && failedPages.length === 0 ? 'completed' : 'partial';
+    manifest.completedAt = new Date().toISOString();
+    return manifest;
+  }
+}
@@ -0,0 +1,70 @@
+import net from "net";
+
+const START_BLOCK = '\x0b';
+const END_BLOCK = '\x1c';
+const CARRIAGE_RETURN = '\r';
+
+/**
+ * Minimal MLLP client for delivering HL7 v2 messages
+ */
+export class MllpClient {
+  constructor(config) {
+    this.host = config.hl7.mllp.host;
+    this.port = config.hl7.mllp.port;
+    this.timeoutMs = config.hl7.mllp.timeoutMs;
+  }
+
+  // Send one framed message and wait for the framed ACK
+  send(message) {
+    if (!message) {
+      return Promise.reject(new Error("HL7 message is required for MLLP send"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let buffer = '';
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(new Error(`MLLP send to ${this.host}:${this.port} failed: ${error.message}`));
+        } else {
+          resolve(result);
+        }
+      };
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(this.timeoutMs, () => finish(new Error(`no ACK within ${this.timeoutMs}ms`)));
+
+      socket.on('connect', () => {
+        socket.write(START_BLOCK + message + END_BLOCK + CARRIAGE_RETURN);
+      });
+
+      socket.on('data', chunk => {
+        buffer += chunk;
+        const start = buffer.indexOf(START_BLOCK);
+        const end = buffer.indexOf(END_BLOCK + CARRIAGE_RETURN, start + 1);
+        if (start === -1 || end === -1) return;
+
+        const ack = buffer.substring(start + 1, end);
+        const ackCode = this._parseAckCode(ack);
+        if (ackCode === 'AA' || ackCode === 'CA') {
+          finish(null, { acknowledged: true, ackCode, ack });
+        } else {
+          finish(new Error(`negative acknowledgement ${ackCode || 'missing MSA'}`));
+        }
+      });
+
+      socket.on('error', error => finish(error));
+      socket.on('close', () => finish(new Error("connection closed before ACK")));
+    });
+  }
+
+  _parseAckCode(ack) {
+    const msa = ack.split(/\r|\n/).find(segment => segment.startsWith('MSA|'));
+    return msa ? msa.split('|')[1] : null;
+  }
+}
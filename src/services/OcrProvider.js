@@ -0,0 +1,29 @@
+/**
+ * Base class for OCR providers.
+ *
+ * Every provider resolves extractData(pdfBytes) for a single-page PDF to:
+ *   { text, keyValuePairs, keyValueDetails, tables, queryResults, confidence, rawBlocks }
+ * where rawBlocks follow the Textract block layout (BlockType, Text, Confidence, Geometry),
+ * keyValueDetails maps each form key to { value, confidence, geometry }, tables carry
+ * cellDetails parallel to rows, and queryResults maps a query alias to
+ * { text, confidence, geometry, question }. Geometry is a normalized BoundingBox.
+ */
+export class OcrProvider {
+  constructor(config) {
+    this.minTextLength = config.ocr?.minTextLength ?? 20;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  async extractData(pdfBytes) {
+    throw new Error(`${this.name} does not implement extractData`);
+  }
+
+  // Whether the extracted page carries enough text to be worth using
+  hasUsableText(extractedData) {
+    if (!extractedData || typeof extractedData.text !== 'string') return false;
+    return extractedData.text.replace(/\s+/g, '').length >= this.minTextLength;
+  }
+}
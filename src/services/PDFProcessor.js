@@ -1,4 +1,5 @@
 import fs from "fs";
+import { createHash } from "crypto";
 import { PDFDocument } from "pdf-lib";
 
 /**
@@ -16,12 +17,23 @@ export class PDFProcessor {
     return await PDFDocument.load(raw);
   }
 
+  // SHA-256 of the file's bytes, identifying the document however it is named
+  async fingerprint(filePath) {
+    const hash = createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
   async extractPageBytes(pdfDoc, pageIndex) {
     if (pageIndex < 0 || pageIndex >= pdfDoc.getPageCount()) {
       throw new Error(`Page index ${pageIndex} is out of range. Document has ${pdfDoc.getPageCount()} pages.`);
     }
 
-    const singlePagePDF = await PDFDocument.create();
+    // No producer or creation/modification dates, so the same page always yields the same bytes
+    // and content-addressed OCR cache entries are found again on later runs
+    const singlePagePDF = await PDFDocument.create({ updateMetadata: false });
     const [page] = await singlePagePDF.copyPages(pdfDoc, [pageIndex]);
     singlePagePDF.addPage(page);
     return await singlePagePDF.save();
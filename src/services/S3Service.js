@@ -1,78 +1,105 @@
-import { S3Client, PutObjectCommand, HeadBucketCommand } from "@aws-sdk/client-s3";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from "@aws-sdk/client-s3";
+import { createHash } from "crypto";
+import path from "path";
+import { StorageBackend } from "./StorageBackend.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
 
 /**
  * S3 upload service for storing processed reports
  */
-export class S3Service {
+export class S3Service extends StorageBackend {
   constructor(config) {
+    super(config);
     this.client = new S3Client({ region: config.aws.region });
     this.bucketName = config.aws.s3BucketName;
     this.region = config.aws.region;
+    this.serverSideEncryption = config.s3.serverSideEncryption;
+    this.kmsKeyId = config.s3.kmsKeyId;
+    this.storageClass = config.s3.storageClass;
+    this.tagging = config.s3.tagging;
+    this.multipartThreshold = config.s3.multipartThreshold;
+    this.partSize = config.s3.partSize;
+    this.partConcurrency = config.s3.partConcurrency;
+    this.bucketCheck = null;
   }
 
-  async uploadReport(pdfBytes, metadata, reportIndex) {
-    if (!pdfBytes || pdfBytes.length === 0) {
-      throw new Error("PDF bytes are required for upload");
-    }
-
-    if (!metadata) {
-      throw new Error("Metadata is required for upload");
-    }
+  async uploadReport(pdfBytes, metadata, reportIndex, options = {}) {
+    this._validateUpload(pdfBytes, metadata);
 
-    // Validate bucket exists before upload
-    await this._validateBucket();
+    // Validate bucket exists before the first upload
+    await this._ensureBucket();
 
-    const filename = this._generateFilename(metadata, reportIndex);
+    const filename = this.getFilename(metadata, reportIndex, options);
     const s3Metadata = this._buildS3Metadata(metadata);
 
     const uploadParams = {
-      Bucket: this.bucketName,
-      Key: filename,
-      Body: pdfBytes,
-      ContentType: 'application/pdf',
-      Metadata: s3Metadata
+      ...this._objectParams(filename, 'application/pdf'),
+      Metadata: s3Metadata,
+      Tagging: this.tagging ? this._buildTagging(metadata, options) : undefined,
+      // Conditional write: S3 rejects the upload if the key already holds an object
+      IfNoneMatch: this._allowsOverwrite(options) ? undefined : '*'
     };
 
     try {
-      const command = new PutObjectCommand(uploadParams);
-      const result = await this.client.send(command);
+      const result = await this._putObject(uploadParams, pdfBytes);
 
       return {
         success: true,
         filename,
         metadata: s3Metadata,
-        etag: result.ETag,
-        location: `https://${this.bucketName}.s3.${this.region}.amazonaws.com/${filename}`,
+        ...result,
+        location: this.getObjectUrl(filename),
         size: pdfBytes.length
       };
     } catch (error) {
-      throw new Error(`S3 upload failed for ${filename}: ${error.message}`);
+      if (error.name === 'PreconditionFailed' || error.$metadata?.httpStatusCode === 412) {
+        throw this._collisionError(filename, error);
+      }
+      throw new Error(`S3 upload failed for ${filename}: ${error.message}`, { cause: error });
     }
   }
 
-  async uploadBatch(reports) {
-    if (!Array.isArray(reports) || reports.length === 0) {
-      throw new Error("Reports array is required for batch upload");
+  async uploadArtifact(filename, body, contentType) {
+    if (!filename || !body) {
+      throw new Error("Filename and body are required for artifact upload");
     }
 
-    const results = [];
-    const errors = [];
+    await this._ensureBucket();
 
-    for (const [index, report] of reports.entries()) {
-      try {
-        const result = await this.uploadReport(report.pdfBytes, report.metadata, index);
-        results.push(result);
-      } catch (error) {
-        errors.push({ index, error: error.message, metadata: report.metadata });
-      }
+    try {
+      const result = await this._putObject(this._objectParams(filename, contentType), Buffer.from(body));
+
+      return {
+        success: true,
+        filename,
+        ...result,
+        location: this.getObjectUrl(filename),
+        size: Buffer.byteLength(body)
+      };
+    } catch (error) {
+      throw new Error(`S3 upload failed for ${filename}: ${error.message}`, { cause: error });
     }
+  }
 
-    return {
-      successful: results,
-      failed: errors,
-      totalAttempted: reports.length,
-      successRate: results.length / reports.length
-    };
+  async readArtifact(filename) {
+    await this._ensureBucket();
+
+    try {
+      const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: filename }));
+      return await result.Body.transformToString();
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw new Error(`S3 read failed for ${filename}: ${error.message}`, { cause: error });
+    }
   }
 
   // Get S3 object URL
@@ -86,6 +113,141 @@ export class S3Service {
       throw new Error("Valid bucket name is required");
     }
     this.bucketName = bucketName;
+    this.bucketCheck = null;
+  }
+
+  // Bucket, key, encryption and storage class shared by every object written
+  _objectParams(key, contentType) {
+    return {
+      Bucket: this.bucketName,
+      Key: key,
+      ContentType: contentType,
+      ServerSideEncryption: this.serverSideEncryption || undefined,
+      SSEKMSKeyId: this.serverSideEncryption === 'aws:kms' ? this.kmsKeyId || undefined : undefined,
+      StorageClass: this.storageClass || undefined
+    };
+  }
+
+  // Single PUT below the multipart threshold; either way S3's SHA-256 must match ours
+  async _putObject(params, body) {
+    if (body.length > this.multipartThreshold) {
+      return this._putMultipart(params, body);
+    }
+
+    const checksum = this._sha256(body);
+    const result = await this.client.send(new PutObjectCommand({
+      ...params,
+      Body: body,
+      ChecksumAlgorithm: 'SHA256',
+      ChecksumSHA256: checksum
+    }));
+    this._verifyChecksum(params.Key, checksum, result.ChecksumSHA256);
+
+    return {
+      etag: result.ETag,
+      versionId: result.VersionId,
+      checksumSHA256: checksum,
+      serverSideEncryption: result.ServerSideEncryption,
+      multipart: false
+    };
+  }
+
+  async _putMultipart({ IfNoneMatch, ...params }, body) {
+    const { UploadId: uploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      ...params,
+      ChecksumAlgorithm: 'SHA256'
+    }));
+
+    try {
+      const offsets = [];
+      for (let offset = 0; offset < body.length; offset += this.partSize) {
+        offsets.push(offset);
+      }
+
+      const parts = await mapWithConcurrency(offsets, this.partConcurrency, async (offset, index) => {
+        const partBody = body.subarray(offset, offset + this.partSize);
+        const checksum = this._sha256(partBody);
+        const result = await this.client.send(new UploadPartCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: uploadId,
+          PartNumber: index + 1,
+          Body: partBody,
+          ChecksumAlgorithm: 'SHA256',
+          ChecksumSHA256: checksum
+        }));
+        this._verifyChecksum(`${params.Key} part ${index + 1}`, checksum, result.ChecksumSHA256);
+        return { PartNumber: index + 1, ETag: result.ETag, ChecksumSHA256: checksum };
+      });
+
+      const result = await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+        // A multipart upload's condition is checked when it completes
+        IfNoneMatch
+      }));
+
+      // S3 reports a multipart object's checksum as the hash of its part hashes plus the part count
+      const checksum = `${this._sha256(Buffer.concat(parts.map(part => Buffer.from(part.ChecksumSHA256, 'base64'))))}-${parts.length}`;
+      this._verifyChecksum(params.Key, checksum, result.ChecksumSHA256);
+
+      return {
+        etag: result.ETag,
+        versionId: result.VersionId,
+        checksumSHA256: checksum,
+        serverSideEncryption: result.ServerSideEncryption,
+        multipart: true
+      };
+    } catch (error) {
+      // Don't leave orphaned parts behind (they are billed until aborted)
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: uploadId
+      })).catch(() => {});
+      throw error;
+    }
+  }
+
+  _verifyChecksum(label, expected, actual) {
+    if (!actual) {
+      throw new Error(`S3 returned no SHA-256 checksum for ${label}`);
+    }
+    if (actual !== expected) {
+      throw new Error(`SHA-256 checksum mismatch for ${label}: sent ${expected}, S3 stored ${actual}`);
+    }
+  }
+
+  _sha256(body) {
+    return createHash('sha256').update(body).digest('base64');
+  }
+
+  // Object tags as a URL-encoded query string; S3 only allows a limited character set in values
+  _buildTagging(metadata, options) {
+    const tags = {
+      source: options.sourceFile ? path.basename(options.sourceFile) : 'unknown',
+      splitConfidence: metadata.splitConfidence?.toFixed(2) || '0',
+      reviewStatus: metadata.reviewStatus || 'final'
+    };
+
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(tags)) {
+      params.append(key, String(value).replace(/[^\w\s+\-=.:/@]/g, '_').substring(0, 256));
+    }
+    return params.toString();
+  }
+
+  // Check the bucket once; a failed check is retried on the next upload
+  async _ensureBucket() {
+    if (!this.bucketCheck) {
+      this.bucketCheck = this._validateBucket().catch(error => {
+        this.bucketCheck = null;
+        throw error;
+      });
+    }
+    return this.bucketCheck;
   }
 
   async _validateBucket() {
@@ -102,38 +264,4 @@ export class S3Service {
       }
     }
   }
-
-  _generateFilename(metadata, reportIndex) {
-    const patientName = metadata.name || `Unknown-${reportIndex}`;
-    const timestamp = new Date().toISOString().split('T')[0];
-    const safeName = patientName
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '_')
-      .substring(0, 50); // Limit length
-
-    const patientId = metadata.patientId ? `_${metadata.patientId}` : '';
-
-    return `${safeName}${patientId}_${timestamp}_${reportIndex}.pdf`;
-  }
-
-  _buildS3Metadata(metadata) {
-    // S3 metadata values must be strings and have certain character restrictions
-    const cleanMetadataValue = (value) => {
-      if (value === null || value === undefined) return 'Unknown';
-      return String(value).replace(/[^\x20-\x7E]/g, ''); // ASCII only
-    };
-
-    return {
-      patientName: cleanMetadataValue(metadata.name),
-      dateOfBirth: cleanMetadataValue(metadata.dob),
-      patientId: cleanMetadataValue(metadata.patientId),
-      pageCount: cleanMetadataValue(metadata.pageCount || 0),
-      processedDate: new Date().toISOString(),
-      extractedFrom: cleanMetadataValue(metadata.extractedFrom),
-      extractionMethod: cleanMetadataValue(metadata.extractionMethod),
-      confidence: cleanMetadataValue(metadata.confidence?.toFixed(1) || '0'),
-      isHighConfidence: cleanMetadataValue(metadata.isHighConfidence || false),
-      completeness: cleanMetadataValue(metadata.completeness?.toFixed(2) || '0')
-    };
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,246 @@
+import { createHash, createHmac, randomUUID } from "crypto";
+import path from "path";
+import { Logger } from "../utils/Logger.js";
+
+// Metadata fields with a dedicated S3 metadata key
+const STANDARD_FIELDS = [
+  'name', 'dob', 'patientId', 'sex', 'collectionDate', 'reportDate',
+  'orderingProvider', 'accessionNumber', 'performingLab'
+];
+
+// Patient identifiers among the metadata keys, stored per storage.metadataIdentifiers
+const IDENTIFIER_KEYS = {
+  name: 'patientName',
+  dob: 'dateOfBirth',
+  patientId: 'patientId',
+  accessionNumber: 'accessionNumber'
+};
+
+const DEFAULT_KEY_TEMPLATE = '{yyyy}/{mm}/{sourceFile}_{documentId}_{reportIndex}_{mrnHash}.pdf';
+
+// Values available to key templates, none of which carry PHI in the clear
+const KEY_PLACEHOLDERS = {
+  date: context => context.now.toISOString().split('T')[0],
+  yyyy: context => String(context.now.getUTCFullYear()),
+  mm: context => String(context.now.getUTCMonth() + 1).padStart(2, '0'),
+  dd: context => String(context.now.getUTCDate()).padStart(2, '0'),
+  mrnHash: (context, backend) => context.metadata.patientId ? backend.pseudonym(context.metadata.patientId) : 'unknown',
+  sourceFile: context => context.sourceFile ? path.basename(context.sourceFile).replace(/\.pdf$/i, '').substring(0, 50) : 'unknown',
+  documentId: context => context.documentId || 'unknown',
+  reportIndex: context => String(context.reportIndex),
+  uuid: () => randomUUID()
+};
+
+let warnedUnkeyed = false;
+
+/**
+ * Base class for report storage backends.
+ *
+ * Implementations resolve uploadReport(pdfBytes, metadata, reportIndex, options) to:
+ *   { success, filename, metadata, location, size }
+ * where options.prefix (e.g. "review/") is prepended to the generated filename,
+ * options.sourceFile and options.documentId fill the key template,
+ * or options.filename replaces the generated name entirely (e.g. to overwrite a previous upload).
+ * Reports are never written over an existing object unless options.filename or options.overwrite
+ * is set, so documents whose keys collide fail instead of one replacing the other's PHI.
+ * uploadArtifact(filename, body, contentType) resolves to:
+ *   { success, filename, location, size }
+ * and readArtifact(filename) to the stored text, or null when there is no such file.
+ */
+export class StorageBackend {
+  constructor(config = {}) {
+    const storage = config.storage || {};
+    this.keyTemplate = storage.keyTemplate || DEFAULT_KEY_TEMPLATE;
+    this.pseudonymKey = storage.pseudonymKey || null;
+    this.metadataIdentifiers = storage.metadataIdentifiers || 'pseudonym';
+    // Custom fields are identifiers unless their definition says identifying: false
+    this.customFields = config.metadata?.customFields || {};
+
+    const unknown = [...this.keyTemplate.matchAll(/\{(\w+)\}/g)]
+      .map(match => match[1])
+      .filter(placeholder => !(placeholder in KEY_PLACEHOLDERS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder(s) in storage key template: ${unknown.join(', ')}. Supported: ${Object.keys(KEY_PLACEHOLDERS).join(', ')}`);
+    }
+    if (!this.keyTemplate.toLowerCase().endsWith('.pdf')) {
+      throw new Error(`Storage key template must end in .pdf: ${this.keyTemplate}`);
+    }
+
+    // A plain hash of an MRN can be reversed by hashing every possible MRN
+    const usesPseudonyms = this.keyTemplate.includes('{mrnHash}') || this.metadataIdentifiers === 'pseudonym';
+    if (usesPseudonyms && !this.pseudonymKey && !warnedUnkeyed) {
+      warnedUnkeyed = true;
+      Logger.fromConfig(config).warn('No storage.pseudonymKey set, identifier hashes are unkeyed SHA-256 and can be brute-forced');
+    }
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  async uploadReport(pdfBytes, metadata, reportIndex, options = {}) {
+    throw new Error(`${this.name} does not implement uploadReport`);
+  }
+
+  async uploadArtifact(filename, body, contentType) {
+    throw new Error(`${this.name} does not implement uploadArtifact`);
+  }
+
+  async readArtifact(filename) {
+    throw new Error(`${this.name} does not implement readArtifact`);
+  }
+
+  // Filename a report would be stored under. Templates with {uuid} give a new name on every call.
+  getFilename(metadata, reportIndex, options = {}) {
+    if (options.filename) return options.filename;
+    return (options.prefix || '') + this._generateFilename(metadata, reportIndex, options);
+  }
+
+  // Whether an upload may replace an object already stored under its key
+  _allowsOverwrite(options = {}) {
+    return Boolean(options.filename || options.overwrite);
+  }
+
+  _collisionError(filename, cause) {
+    return new Error(`Refusing to overwrite existing report ${filename}; the storage key template does not make keys unique per document (add {documentId} or {uuid})`, { cause });
+  }
+
+  // Stable stand-in for an identifier: HMAC-SHA256 with storage.pseudonymKey, plain SHA-256 without one
+  pseudonym(value) {
+    const normalized = String(value).trim().replace(/\s+/g, ' ').toUpperCase();
+    const hash = this.pseudonymKey
+      ? createHmac('sha256', this.pseudonymKey).update(normalized)
+      : createHash('sha256').update(normalized);
+    return hash.digest('hex').substring(0, 16);
+  }
+
+  // Name for a file stored next to a report, e.g. "report.fhir.json" for "report.pdf"
+  artifactFilename(reportFilename, suffix) {
+    return reportFilename.replace(/\.pdf$/i, '') + suffix;
+  }
+
+  async uploadBatch(reports) {
+    if (!Array.isArray(reports) || reports.length === 0) {
+      throw new Error("Reports array is required for batch upload");
+    }
+
+    const results = [];
+    const errors = [];
+
+    for (const [index, report] of reports.entries()) {
+      try {
+        const result = await this.uploadReport(report.pdfBytes, report.metadata, index);
+        results.push(result);
+      } catch (error) {
+        errors.push({ index, error: error.message, metadata: report.metadata });
+      }
+    }
+
+    return {
+      successful: results,
+      failed: errors,
+      totalAttempted: reports.length,
+      successRate: results.length / reports.length
+    };
+  }
+
+  _validateUpload(pdfBytes, metadata) {
+    if (!pdfBytes || pdfBytes.length === 0) {
+      throw new Error("PDF bytes are required for upload");
+    }
+
+    if (!metadata) {
+      throw new Error("Metadata is required for upload");
+    }
+  }
+
+  _generateFilename(metadata, reportIndex, options = {}) {
+    const context = {
+      metadata,
+      reportIndex,
+      sourceFile: options.sourceFile,
+      documentId: options.documentId,
+      now: new Date()
+    };
+
+    // Placeholder values become single path segments; "/" only comes from the template itself
+    return this.keyTemplate
+      .replace(/\{(\w+)\}/g, (_, placeholder) => KEY_PLACEHOLDERS[placeholder](context, this).replace(/[^\w.-]+/g, '_'))
+      .replace(/\/{2,}/g, '/')
+      .replace(/^\//, '');
+  }
+
+  _buildS3Metadata(metadata) {
+    // S3 metadata values must be strings and have certain character restrictions
+    const cleanMetadataValue = (value) => {
+      if (value === null || value === undefined) return 'Unknown';
+      return String(value).replace(/[^\x20-\x7E]/g, ''); // ASCII only
+    };
+
+    // Fields registered beyond the built-in schema are stored under their own name,
+    // identifying ones as the identifier policy says
+    const customFields = Object.keys(metadata.fields || {}).filter(field => !STANDARD_FIELDS.includes(field));
+    const customIdentifiers = customFields.filter(field => this.customFields[field]?.identifying !== false);
+    const customPlain = customFields.filter(field => !customIdentifiers.includes(field));
+
+    return {
+      ...this._buildIdentifierMetadata(metadata, cleanMetadataValue, customIdentifiers),
+      sex: cleanMetadataValue(metadata.sex),
+      collectionDate: cleanMetadataValue(metadata.collectionDate),
+      reportDate: cleanMetadataValue(metadata.reportDate),
+      orderingProvider: cleanMetadataValue(metadata.orderingProvider),
+      performingLab: cleanMetadataValue(metadata.performingLab),
+      pageCount: cleanMetadataValue(metadata.pageCount || 0),
+      processedDate: new Date().toISOString(),
+      extractedFrom: cleanMetadataValue(metadata.extractedFrom),
+      extractionMethod: cleanMetadataValue(this._formatExtractionMethod(metadata.extractionMethod)),
+      confidence: cleanMetadataValue(metadata.confidence?.toFixed(1) || '0'),
+      fieldConfidence: cleanMetadataValue(this._formatFieldConfidence(metadata.fields)),
+      isHighConfidence: cleanMetadataValue(metadata.isHighConfidence || false),
+      completeness: cleanMetadataValue(metadata.completeness?.toFixed(2) || '0'),
+      splitConfidence: cleanMetadataValue(metadata.splitConfidence?.toFixed(2) || '0'),
+      reviewStatus: cleanMetadataValue(metadata.reviewStatus || 'final'),
+      mpiStatus: cleanMetadataValue(metadata.mpi?.status || 'not_checked'),
+      mpiScore: cleanMetadataValue(metadata.mpi ? metadata.mpi.score.toFixed(2) : '0'),
+      ...Object.fromEntries(customPlain.map(field => [field, cleanMetadataValue(metadata[field])]))
+    };
+  }
+
+  // Identifiers in the clear ('plain'), as "<key>Hash" pseudonyms ('pseudonym') or not at all ('omit')
+  _buildIdentifierMetadata(metadata, cleanMetadataValue, customIdentifiers = []) {
+    if (this.metadataIdentifiers === 'omit') return {};
+
+    if (this.metadataIdentifiers === 'plain') {
+      return {
+        patientName: cleanMetadataValue(metadata.name),
+        dateOfBirth: cleanMetadataValue(metadata.dob),
+        dateOfBirthRaw: cleanMetadataValue(metadata.fields?.dob?.raw),
+        patientId: cleanMetadataValue(metadata.patientId),
+        accessionNumber: cleanMetadataValue(metadata.accessionNumber),
+        ...Object.fromEntries(customIdentifiers.map(field => [field, cleanMetadataValue(metadata[field])]))
+      };
+    }
+
+    const keys = [...Object.entries(IDENTIFIER_KEYS), ...customIdentifiers.map(field => [field, field])];
+    return Object.fromEntries(
+      keys
+        .filter(([field]) => metadata[field])
+        .map(([field, key]) => [`${key}Hash`, this.pseudonym(metadata[field])])
+    );
+  }
+
+  // Per-field confidence as "name=98.2;dob=91.0"
+  _formatFieldConfidence(fields) {
+    const entries = Object.entries(fields || {});
+    return entries.length > 0
+      ? entries.map(([field, detail]) => `${field}=${Number(detail.confidence || 0).toFixed(1)}`).join(';')
+      : 'none';
+  }
+
+  // Per-field sources as "name=query;dob=kv"
+  _formatExtractionMethod(extractionMethod) {
+    if (!extractionMethod || typeof extractionMethod !== 'object') return extractionMethod;
+    const entries = Object.entries(extractionMethod);
+    return entries.length > 0 ? entries.map(([field, source]) => `${field}=${source}`).join(';') : 'none';
+  }
+}
@@ -0,0 +1,139 @@
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { OcrProvider } from "./OcrProvider.js";
+
+/**
+ * Offline OCR provider that reads the embedded PDF text layer
+ */
+export class TextLayerService extends OcrProvider {
+  constructor(config) {
+    super(config);
+    this.lineTolerance = config.ocr?.lineTolerance ?? 2;
+  }
+
+  async extractData(pdfBytes) {
+    let loadingTask;
+
+    try {
+      // pdf.js may detach the buffer it is given, so hand it a copy
+      loadingTask = getDocument({
+        data: new Uint8Array(pdfBytes),
+        verbosity: 0,
+        isEvalSupported: false
+      });
+      const doc = await loadingTask.promise;
+      const page = await doc.getPage(1);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+
+      const lines = this._groupLines(content.items);
+      const rawBlocks = this._buildBlocks(lines, viewport);
+      const keyValueDetails = this._extractKeyValueDetails(lines, rawBlocks);
+
+      return {
+        text: lines.map(line => line.text).join("\n"),
+        keyValuePairs: Object.fromEntries(
+          Object.entries(keyValueDetails).map(([key, detail]) => [key, detail.value])
+        ),
+        keyValueDetails,
+        tables: [],
+        // Natural-language queries need Textract
+        queryResults: {},
+        // The text layer is read verbatim, there is no recognition uncertainty
+        confidence: lines.length > 0 ? 100 : 0,
+        rawBlocks
+      };
+    } catch (error) {
+      throw new Error(`Text layer extraction failed: ${error.message}`, { cause: error });
+    } finally {
+      if (loadingTask) await loadingTask.destroy();
+    }
+  }
+
+  _groupLines(items) {
+    const lines = [];
+
+    items
+      .filter(item => typeof item.str === 'string' && item.str.length > 0)
+      .forEach(item => {
+        const x = item.transform[4];
+        const y = item.transform[5];
+        let line = lines.find(l => Math.abs(l.y - y) <= this.lineTolerance);
+        if (!line) {
+          line = { y, items: [] };
+          lines.push(line);
+        }
+        line.items.push({ str: item.str, x, width: item.width, height: item.height });
+      });
+
+    return lines
+      .map(line => {
+        const sorted = line.items.sort((a, b) => a.x - b.x);
+        let text = '';
+        let previousEnd = null;
+
+        sorted.forEach(item => {
+          const gap = previousEnd === null ? 0 : item.x - previousEnd;
+          if (gap > 1 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+            text += ' ';
+          }
+          text += item.str;
+          previousEnd = item.x + item.width;
+        });
+
+        const left = sorted[0].x;
+        return {
+          text: text.replace(/\s+/g, ' ').trim(),
+          x: left,
+          y: line.y,
+          width: previousEnd - left,
+          height: Math.max(...sorted.map(item => item.height))
+        };
+      })
+      .filter(line => line.text.length > 0)
+      // PDF coordinates grow upwards, so read top to bottom
+      .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+  }
+
+  _buildBlocks(lines, viewport) {
+    const pageWidth = viewport.width || 1;
+    const pageHeight = viewport.height || 1;
+
+    return lines.map((line, index) => ({
+      BlockType: "LINE",
+      Id: `line-${index + 1}`,
+      Text: line.text,
+      Confidence: 100,
+      Geometry: {
+        BoundingBox: {
+          Left: line.x / pageWidth,
+          Top: 1 - (line.y + line.height) / pageHeight,
+          Width: line.width / pageWidth,
+          Height: line.height / pageHeight
+        }
+      }
+    }));
+  }
+
+  // Derive key/value pairs from "Label: value" lines, keys normalised like Textract form keys.
+  // The location is the whole line, since the text layer does not separate label from value.
+  _extractKeyValueDetails(lines, rawBlocks) {
+    const keyValueDetails = {};
+
+    lines.forEach((line, index) => {
+      const match = line.text.match(/^([A-Za-z][\w\s#./()-]{0,40}?)\s*:\s*(.+)$/);
+      if (!match) return;
+
+      const cleanKey = match[1].trim().toLowerCase();
+      const value = match[2].trim();
+      if (value && !(cleanKey in keyValueDetails)) {
+        keyValueDetails[cleanKey] = {
+          value,
+          confidence: 100,
+          geometry: rawBlocks[index].Geometry.BoundingBox
+        };
+      }
+    });
+
+    return keyValueDetails;
+  }
+}
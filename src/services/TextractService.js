@@ -1,33 +1,86 @@
 import { TextractClient, AnalyzeDocumentCommand } from "@aws-sdk/client-textract";
+import { createHash } from "crypto";
+import { OcrProvider } from "./OcrProvider.js";
+import { Logger } from "../utils/Logger.js";
 
 /**
  * AWS Textract service wrapper for OCR and structured data extraction
  */
-export class TextractService {
-  constructor(config) {
+export class TextractService extends OcrProvider {
+  constructor(config, cache = null) {
+    super(config);
     this.client = new TextractClient({ region: config.aws.region });
-    this.featureTypes = config.textract.featureTypes;
+    this.queries = config.textract.useQueries ? (config.textract.queries || []) : [];
+    // Queries only run when the QUERIES feature is requested alongside them
+    this.featureTypes = this.queries.length > 0 && !config.textract.featureTypes.includes("QUERIES")
+      ? [...config.textract.featureTypes, "QUERIES"]
+      : config.textract.featureTypes;
     this.confidenceThreshold = config.textract.confidenceThreshold;
+    this.cache = cache;
+    this.logger = Logger.fromConfig(config);
   }
 
   async extractData(pdfBytes) {
-    try {
-      const command = new AnalyzeDocumentCommand({
-        Document: { Bytes: pdfBytes },
-        FeatureTypes: this.featureTypes
-      });
+    const cacheKey = this.cache ? this._cacheKey(pdfBytes) : null;
+    let blocks = cacheKey ? await this._readCache(cacheKey) : null;
+    const fromCache = blocks !== null;
+
+    if (!fromCache) {
+      try {
+        const command = new AnalyzeDocumentCommand({
+          Document: { Bytes: pdfBytes },
+          FeatureTypes: this.featureTypes,
+          ...(this.queries.length > 0 && {
+            QueriesConfig: {
+              Queries: this.queries.map(query => ({ Text: query.text, Alias: query.field }))
+            }
+          })
+        });
+
+        const response = await this.client.send(command);
+        blocks = response.Blocks;
+      } catch (error) {
+        throw new Error(`Textract extraction failed: ${error.message}`, { cause: error });
+      }
 
-      const response = await this.client.send(command);
+      if (cacheKey) await this._writeCache(cacheKey, blocks);
+    }
 
-      return {
-        text: this._extractText(response.Blocks),
-        keyValuePairs: this._extractKeyValuePairs(response.Blocks),
-        tables: this._extractTables(response.Blocks),
-        confidence: this._calculateAverageConfidence(response.Blocks),
-        rawBlocks: response.Blocks
-      };
+    return {
+      text: this._extractText(blocks),
+      keyValuePairs: this._extractKeyValuePairs(blocks),
+      keyValueDetails: this._extractKeyValueDetails(blocks),
+      tables: this._extractTables(blocks),
+      queryResults: this._extractQueryResults(blocks),
+      confidence: this._calculateAverageConfidence(blocks),
+      rawBlocks: blocks,
+      fromCache
+    };
+  }
+
+  // Same page bytes analyzed with the same features always map to the same entry
+  _cacheKey(pdfBytes) {
+    return createHash('sha256')
+      .update(pdfBytes)
+      .update(JSON.stringify({ featureTypes: this.featureTypes, queries: this.queries }))
+      .digest('hex');
+  }
+
+  // Cache failures must never fail extraction, they only cost a Textract call
+  async _readCache(cacheKey) {
+    try {
+      return await this.cache.get(cacheKey);
+    } catch (error) {
+      this.logger.warn('Textract cache read failed', { error });
+      return null;
+    }
+  }
+
+  async _writeCache(cacheKey, blocks) {
+    try {
+      await this.cache.set(cacheKey, blocks);
     } catch (error) {
-      throw new Error(`Textract extraction failed: ${error.message}`);
+      this.logger.warn('Textract cache write failed', { error });
     }
   }
 
@@ -41,6 +94,32 @@ export class TextractService {
   _extractKeyValuePairs(blocks) {
     const keyValuePairs = {};
 
+    this._collectKeyValueSets(blocks).forEach(({ key, value }) => {
+      keyValuePairs[key] = value;
+    });
+
+    return keyValuePairs;
+  }
+
+  // Confidence and location of each form value: { [key]: { value, confidence, geometry } }
+  _extractKeyValueDetails(blocks) {
+    const keyValueDetails = {};
+
+    this._collectKeyValueSets(blocks).forEach(({ key, value, keyBlock, valueBlock }) => {
+      keyValueDetails[key] = {
+        value,
+        // A pair is only as reliable as the weaker of its key and value
+        confidence: Math.min(keyBlock.Confidence ?? 0, valueBlock.Confidence ?? 0),
+        geometry: valueBlock.Geometry?.BoundingBox || null
+      };
+    });
+
+    return keyValueDetails;
+  }
+
+  _collectKeyValueSets(blocks) {
+    const pairs = [];
+
     blocks
       .filter(block => block.BlockType === "KEY_VALUE_SET")
       .forEach(block => {
@@ -50,12 +129,12 @@ export class TextractService {
           if (valueBlock) {
             const value = this._getBlockText(valueBlock, blocks);
             const cleanKey = key.replace(/[:\s]+$/, '').trim().toLowerCase();
-            keyValuePairs[cleanKey] = value.trim();
+            pairs.push({ key: cleanKey, value: value.trim(), keyBlock: block, valueBlock });
           }
         }
       });
 
-    return keyValuePairs;
+    return pairs;
   }
 
   _extractTables(blocks) {
@@ -65,6 +144,8 @@ export class TextractService {
     tableBlocks.forEach(tableBlock => {
       const table = {
         rows: [],
+        // Parallel to rows: { confidence, geometry } per cell
+        cellDetails: [],
         confidence: tableBlock.Confidence
       };
 
@@ -80,12 +161,21 @@ export class TextractService {
             });
 
           const rowGroups = {};
+          const detailGroups = {};
           cells.forEach(cell => {
-            if (!rowGroups[cell.RowIndex]) rowGroups[cell.RowIndex] = [];
+            if (!rowGroups[cell.RowIndex]) {
+              rowGroups[cell.RowIndex] = [];
+              detailGroups[cell.RowIndex] = [];
+            }
             rowGroups[cell.RowIndex][cell.ColumnIndex - 1] = this._getBlockText(cell, blocks);
+            detailGroups[cell.RowIndex][cell.ColumnIndex - 1] = {
+              confidence: cell.Confidence ?? 0,
+              geometry: cell.Geometry?.BoundingBox || null
+            };
           });
 
           table.rows = Object.values(rowGroups);
+          table.cellDetails = Object.values(detailGroups);
         }
       }
 
@@ -95,6 +185,33 @@ export class TextractService {
     return tables;
   }
 
+  // Best answer per query alias: { [alias]: { text, confidence, geometry, question } }
+  _extractQueryResults(blocks) {
+    const queryResults = {};
+
+    blocks
+      .filter(block => block.BlockType === "QUERY" && block.Query)
+      .forEach(queryBlock => {
+        const answerIds = queryBlock.Relationships
+          ?.find(rel => rel.Type === "ANSWER")?.Ids || [];
+        const best = answerIds
+          .map(id => blocks.find(b => b.Id === id))
+          .filter(b => b?.BlockType === "QUERY_RESULT" && b.Text)
+          .sort((a, b) => (b.Confidence || 0) - (a.Confidence || 0))[0];
+        if (!best) return;
+
+        const alias = queryBlock.Query.Alias || queryBlock.Query.Text;
+        queryResults[alias] = {
+          text: best.Text.trim(),
+          confidence: best.Confidence || 0,
+          geometry: best.Geometry?.BoundingBox || null,
+          question: queryBlock.Query.Text
+        };
+      });
+
+    return queryResults;
+  }
+
   _getBlockText(block, allBlocks) {
     if (!block.Relationships) return "";
     const childIds = block.Relationships
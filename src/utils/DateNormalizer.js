@@ -0,0 +1,120 @@
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// Tried in order; the first pattern that matches anywhere in the value wins
+const PATTERNS = [
+  // 1980-01-02, 1980/01/02, 1980.01.02 (optionally followed by a time)
+  { regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/, parts: match => ({ year: match[1], month: match[2], day: match[3] }) },
+  // 01/02/1980, 02.01.80, 1-2-80 - day/month order is resolved later
+  { regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/, parts: match => ({ first: match[1], second: match[2], year: match[3] }) },
+  // Jan 2 1980, January 2nd, 1980
+  { regex: new RegExp(`\\b${MONTH_NAME}[\\s-]+(\\d{1,2})(?:st|nd|rd|th)?,?[\\s-]+(\\d{2}|\\d{4})\\b`, 'i'), parts: match => ({ monthName: match[1], day: match[2], year: match[3] }) },
+  // 2 Jan 1980, 02-Jan-80, 2nd January 1980
+  { regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+${MONTH_NAME},?[\\s-]+(\\d{2}|\\d{4})\\b`, 'i'), parts: match => ({ day: match[1], monthName: match[2], year: match[3] }) },
+  // 19800102
+  { regex: /\b((?:19|20)\d{2})(\d{2})(\d{2})\b/, parts: match => ({ year: match[1], month: match[2], day: match[3] }) }
+];
+
+/**
+ * Parses OCR'd dates in the common lab report formats into ISO 8601 (YYYY-MM-DD)
+ */
+export class DateNormalizer {
+  constructor(config) {
+    const dates = config.dates || {};
+    // 'MDY' (US) or 'DMY' for numeric dates where both parts could be the month
+    this.dayMonthOrder = dates.dayMonthOrder || 'MDY';
+    // Two-digit years up to the cutoff are 20xx, later ones 19xx
+    this.twoDigitYearCutoff = dates.twoDigitYearCutoff ?? 49;
+    this.maxAgeYears = dates.maxAgeYears ?? 130;
+
+    if (!['MDY', 'DMY'].includes(this.dayMonthOrder)) {
+      throw new Error(`Unsupported day/month order: ${this.dayMonthOrder}. Supported orders: MDY, DMY`);
+    }
+  }
+
+  /**
+   * Parse a raw value. kind 'birth' also rejects future dates and implausible ages.
+   * Returns { value, raw, reason } where value is the ISO date or null and reason explains a rejection.
+   */
+  parse(raw, { kind = 'date', now = new Date() } = {}) {
+    const result = { value: null, raw: raw ?? null, reason: null };
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+      result.reason = 'empty';
+      return result;
+    }
+
+    const text = String(raw).trim();
+    const pattern = PATTERNS.find(candidate => candidate.regex.test(text));
+    if (!pattern) {
+      result.reason = 'unrecognized_format';
+      return result;
+    }
+
+    const parts = pattern.parts(text.match(pattern.regex));
+    const { day, month } = this._resolveDayMonth(parts);
+    let year = this._expandYear(parts.year);
+
+    // A two-digit birth year that lands in the future belongs to the previous century
+    if (kind === 'birth' && parts.year.length === 2 && year > now.getUTCFullYear()) {
+      year -= 100;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (!month || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      result.reason = 'invalid_date';
+      return result;
+    }
+
+    if (kind === 'birth') {
+      if (date.getTime() > now.getTime()) {
+        result.reason = 'future_birth_date';
+        return result;
+      }
+      if (this._ageInYears(date, now) > this.maxAgeYears) {
+        result.reason = 'age_out_of_range';
+        return result;
+      }
+    }
+
+    result.value = date.toISOString().split('T')[0];
+    return result;
+  }
+
+  // ISO date or null
+  normalize(raw, options) {
+    return this.parse(raw, options).value;
+  }
+
+  _resolveDayMonth(parts) {
+    if (parts.monthName) {
+      return { day: parseInt(parts.day, 10), month: MONTHS[parts.monthName.toLowerCase().slice(0, 3)] };
+    }
+    if (parts.month) {
+      return { day: parseInt(parts.day, 10), month: parseInt(parts.month, 10) };
+    }
+
+    const first = parseInt(parts.first, 10);
+    const second = parseInt(parts.second, 10);
+    // Only one reading is possible when a part cannot be a month
+    if (first > 12) return { day: first, month: second };
+    if (second > 12) return { day: second, month: first };
+    return this.dayMonthOrder === 'DMY' ? { day: first, month: second } : { day: second, month: first };
+  }
+
+  _expandYear(year) {
+    const value = parseInt(year, 10);
+    if (year.length !== 2) return value;
+    return value <= this.twoDigitYearCutoff ? 2000 + value : 1900 + value;
+  }
+
+  _ageInYears(birthDate, now) {
+    const age = now.getUTCFullYear() - birthDate.getUTCFullYear();
+    const beforeBirthday = now.getUTCMonth() < birthDate.getUTCMonth() ||
+      (now.getUTCMonth() === birthDate.getUTCMonth() && now.getUTCDate() < birthDate.getUTCDate());
+    return beforeBirthday ? age - 1 : age;
+  }
+}
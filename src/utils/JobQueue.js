@@ -0,0 +1,85 @@
+/**
+ * In-process FIFO queue running at most `concurrency` tasks at a time.
+ *
+ * push(id, task) resolves with task(signal)'s result; cancel(id) drops a queued task
+ * (its promise rejects with an AbortError) or aborts the signal of a running one.
+ */
+export class JobQueue {
+  constructor({ concurrency = 1 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.pending = [];
+    this.running = new Map();
+    this.idleWaiters = [];
+  }
+
+  get queuedCount() {
+    return this.pending.length;
+  }
+
+  get runningCount() {
+    return this.running.size;
+  }
+
+  push(id, task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ id, task, resolve, reject });
+      this._next();
+    });
+  }
+
+  // 'dequeued', 'aborted', or null when the id is neither queued nor running
+  cancel(id) {
+    const index = this.pending.findIndex(entry => entry.id === id);
+    if (index !== -1) {
+      const [entry] = this.pending.splice(index, 1);
+      entry.reject(new DOMException('Cancelled before it started', 'AbortError'));
+      this._notifyIdle();
+      return 'dequeued';
+    }
+
+    const controller = this.running.get(id);
+    if (controller) {
+      controller.abort();
+      return 'aborted';
+    }
+    return null;
+  }
+
+  // Drop everything still waiting; running tasks are left to finish
+  clear() {
+    for (const entry of this.pending.splice(0)) {
+      entry.reject(new DOMException('Queue was cleared', 'AbortError'));
+    }
+    this._notifyIdle();
+  }
+
+  // Resolves once nothing is queued or running
+  onIdle() {
+    if (this.pending.length === 0 && this.running.size === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  _next() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const entry = this.pending.shift();
+      const controller = new AbortController();
+      this.running.set(entry.id, controller);
+
+      Promise.resolve()
+        .then(() => entry.task(controller.signal))
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.running.delete(entry.id);
+          this._next();
+          this._notifyIdle();
+        });
+    }
+  }
+
+  _notifyIdle() {
+    if (this.pending.length > 0 || this.running.size > 0) return;
+    for (const resolve of this.idleWaiters.splice(0)) {
+      resolve();
+    }
+  }
+}
@@ -0,0 +1,156 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { createHmac, randomBytes } from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values identify a patient, wherever they appear in the logged fields
+const DEFAULT_PHI_FIELDS = [
+  'name', 'patient', 'patientName', 'dob', 'dateOfBirth', 'dateOfBirthRaw', 'birthDate',
+  'patientId', 'mrn', 'accessionNumber', 'address', 'phone', 'orderingProvider', 'location'
+];
+
+// Without a configured key, hashes correlate within one process but not across runs
+const PROCESS_HASH_KEY = randomBytes(32).toString('hex');
+
+// Correlation context (documentId, reportId, ...) follows async calls without being passed around
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Leveled, structured logger that redacts PHI fields unless explicitly told not to.
+ *
+ * Log calls keep PHI out of the message and pass it as fields instead:
+ *   logger.info('Uploaded report', { patientId: metadata.patientId, pages: 3 })
+ */
+export class Logger {
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'text';
+    this.redaction = options.redaction || 'mask';
+    this.showPhi = Boolean(options.showPhi);
+    this.hashKey = options.hashKey || PROCESS_HASH_KEY;
+    this.phiFields = new Set(options.phiFields || DEFAULT_PHI_FIELDS);
+    this.context = options.context || {};
+    this.write = options.write || ((level, line) => {
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    });
+
+    if (!(this.level in LEVELS)) {
+      throw new Error(`Unsupported log level: ${this.level}. Supported levels: ${Object.keys(LEVELS).join(', ')}`);
+    }
+  }
+
+  // Shared logger for a config: a custom instance from config.logging.logger, or one built from its options
+  static fromConfig(config) {
+    return config.logging?.logger || new Logger(config.logging);
+  }
+
+  // Run fn with extra correlation fields attached to every log line it produces
+  static runWithContext(context, fn) {
+    return contextStorage.run({ ...Logger.getContext(), ...context }, fn);
+  }
+
+  static getContext() {
+    return contextStorage.getStore() || {};
+  }
+
+  // Logger with fixed context fields, sharing this logger's settings and output
+  child(context) {
+    return new Logger({ ...this._options(), context: { ...this.context, ...context } });
+  }
+
+  debug(message, fields) {
+    this._log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._log('error', message, fields);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // Copy of fields with PHI values masked or hashed
+  redact(fields) {
+    if (this.showPhi) return fields;
+    return this._redactValue(fields, false);
+  }
+
+  _log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const redacted = this.redact(this._serializeErrors(fields));
+
+    if (this.format === 'json') {
+      this.write(level, JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...this.context,
+        ...Logger.getContext(),
+        ...redacted
+      }));
+      return;
+    }
+
+    const prefix = level === 'warn' || level === 'error' ? `${level.toUpperCase()} ` : '';
+    const details = Object.entries(redacted)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${this._formatValue(value)}`);
+    this.write(level, [prefix + message, ...details].join(' '));
+  }
+
+  _redactValue(value, isPhi) {
+    if (value === null || value === undefined) return value;
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._redactValue(item, isPhi));
+    }
+    if (typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, this._redactValue(child, isPhi || this.phiFields.has(key))])
+      );
+    }
+
+    return isPhi ? this._redactScalar(value) : value;
+  }
+
+  _redactScalar(value) {
+    if (this.redaction === 'hash') {
+      return `#${createHmac('sha256', this.hashKey).update(String(value)).digest('hex').slice(0, 12)}`;
+    }
+    return '[REDACTED]';
+  }
+
+  _serializeErrors(fields) {
+    return Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? value.message : value])
+    );
+  }
+
+  _formatValue(value) {
+    if (typeof value === 'string') return /[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value;
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  _options() {
+    return {
+      level: this.level,
+      format: this.format,
+      redaction: this.redaction,
+      showPhi: this.showPhi,
+      hashKey: this.hashKey,
+      phiFields: [...this.phiFields],
+      write: this.write
+    };
+  }
+}
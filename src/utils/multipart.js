@@ -0,0 +1,64 @@
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Parse a buffered multipart/form-data body into [{ name, filename, contentType, data }].
+ * Throws on a missing boundary or a body that is cut short.
+ */
+export function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new Error("multipart/form-data request has no boundary");
+  }
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const delimiter = Buffer.concat([CRLF, boundary]);
+  const parts = [];
+
+  let position = body.indexOf(boundary);
+  if (position === -1) {
+    throw new Error("Malformed multipart body: boundary not found");
+  }
+
+  for (;;) {
+    position += boundary.length;
+
+    // "--" right after a boundary closes the body
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+    if (body[position] === 0x0d && body[position + 1] === 0x0a) position += 2;
+
+    const headerEnd = body.indexOf(HEADER_END, position);
+    if (headerEnd === -1) {
+      throw new Error("Malformed multipart body: part headers are not terminated");
+    }
+    const headers = parseHeaders(body.subarray(position, headerEnd).toString('utf8'));
+
+    const dataStart = headerEnd + HEADER_END.length;
+    const dataEnd = body.indexOf(delimiter, dataStart);
+    if (dataEnd === -1) {
+      throw new Error("Malformed multipart body: missing closing boundary");
+    }
+
+    const disposition = headers['content-disposition'] || '';
+    parts.push({
+      name: /(?:^|;)\s*name="([^"]*)"/i.exec(disposition)?.[1] ?? null,
+      filename: /(?:^|;)\s*filename="([^"]*)"/i.exec(disposition)?.[1] ?? null,
+      contentType: headers['content-type'] || 'text/plain',
+      data: body.subarray(dataStart, dataEnd)
+    });
+
+    position = dataEnd + CRLF.length;
+  }
+
+  return parts;
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+  }
+  return headers;
+}
@@ -0,0 +1,63 @@
+const RETRYABLE_ERROR_NAMES = [
+  'ProvisionedThroughputExceededException',
+  'ThrottlingException',
+  'LimitExceededException',
+  'InternalServerError',
+  'ServiceUnavailable',
+  'TimeoutError'
+];
+
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+];
+
+/**
+ * Whether an error (or any error in its cause chain) is worth retrying
+ */
+export function isRetryableError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (RETRYABLE_ERROR_NAMES.includes(current.name)) return true;
+    if (RETRYABLE_ERROR_CODES.includes(current.code)) return true;
+    if (current.$retryable) return true;
+
+    const status = current.$metadata?.httpStatusCode;
+    if (status === 429 || status >= 500) return true;
+  }
+  return false;
+}
+
+/**
+ * Exponential backoff with full jitter, capped at maxDelayMs
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Run fn until it succeeds, retrying retryable errors up to maxAttempts times.
+ * The final error carries the number of attempts made.
+ */
+export async function withRetry(fn, options) {
+  const { maxAttempts, onRetry } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, options);
+      if (onRetry) onRetry(error, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config } from '../src/config/Config.js';
+import { ApiServer } from '../src/server/ApiServer.js';
+import { Logger } from '../src/utils/Logger.js';
+
+const PDF = Buffer.from('%PDF-1.7\n%%EOF\n');
+const RAW_PDF = { method: 'POST', body: PDF, headers: { 'Content-Type': 'application/pdf' } };
+
+// Processor stand-in recording how it was called; run(options) decides the result
+function createProcessor(config, run = async () => ({ success: true })) {
+  return {
+    logger: Logger.fromConfig(config),
+    jobStore: null,
+    calls: [],
+    async processReport(pdfPath, options) {
+      this.calls.push({ pdfPath, options, exists: fs.existsSync(pdfPath) });
+      return { documentId: options.documentId, ...(await run(options)) };
+    }
+  };
+}
+
+function withServer(serverOverrides, run, fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-server-'));
+    const config = new Config().merge({
+      server: { port: 0, uploadDir: path.join(dir, 'uploads'), concurrency: 1, ...serverOverrides },
+      logging: { level: 'silent' }
+    });
+    const processor = createProcessor(config, run);
+    const server = new ApiServer(config, processor);
+    await server.start();
+    try {
+      await fn({ server, processor, base: `http://127.0.0.1:${server.port}`, dir });
+    } finally {
+      await server.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+async function waitForJob(base, id, headers = {}) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const status = await (await fetch(`${base}/jobs/${id}`, { headers })).json();
+    if (['completed', 'failed', 'cancelled'].includes(status.status)) return status;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test('runs a raw PDF upload under its job ID and file name', withServer({}, undefined, async ({ processor, base }) => {
+  const response = await fetch(`${base}/jobs`, { method: 'POST', body: PDF, headers: { 'Content-Type': 'application/pdf', 'X-Filename': 'scans/report.pdf' } });
+  assert.equal(response.status, 202);
+  const created = await response.json();
+  assert.equal(response.headers.get('location'), `/jobs/${created.id}`);
+
+  const status = await waitForJob(base, created.id);
+  assert.equal(status.status, 'completed');
+  assert.equal(status.filename, 'report.pdf');
+  assert.equal(status.documentId, created.id);
+
+  const [call] = processor.calls;
+  assert.equal(call.options.sourceName, 'report.pdf');
+  assert.equal(call.options.documentId, created.id);
+  assert.equal(call.exists, true);
+  // A completed upload is removed
+  assert.equal(fs.existsSync(call.pdfPath), false);
+}));
+
+test('accepts the PDF as a multipart file field', withServer({}, undefined, async ({ processor, base }) => {
+  const form = new FormData();
+  form.append('file', new Blob([PDF], { type: 'application/pdf' }), 'lab.pdf');
+  const created = await (await fetch(`${base}/jobs?dryRun=true`, { method: 'POST', body: form })).json();
+
+  const status = await waitForJob(base, created.id);
+  assert.equal(status.filename, 'lab.pdf');
+  assert.equal(status.dryRun, true);
+  assert.equal(processor.calls[0].options.dryRun, true);
+}));
+
+test('rejects bodies that are not PDFs or too large', withServer({ maxBodyBytes: 64 }, undefined, async ({ base }) => {
+  const notPdf = await fetch(`${base}/jobs`, { method: 'POST', body: 'hello', headers: { 'Content-Type': 'application/pdf' } });
+  assert.equal(notPdf.status, 400);
+
+  const tooLarge = await fetch(`${base}/jobs`, { method: 'POST', body: Buffer.alloc(128, 0x25), headers: { 'Content-Type': 'application/pdf' } });
+  assert.equal(tooLarge.status, 413);
+}));
+
+test('requires a configured API key except on /health', withServer({ apiKeys: ['secret'] }, undefined, async ({ base }) => {
+  assert.equal((await fetch(`${base}/health`)).status, 200);
+  assert.equal((await fetch(`${base}/jobs/unknown`)).status, 401);
+  assert.equal((await fetch(`${base}/jobs/unknown`, { headers: { 'X-API-Key': 'wrong' } })).status, 401);
+  assert.equal((await fetch(`${base}/jobs/unknown`, { headers: { Authorization: 'Bearer secret' } })).status, 404);
+}));
+
+test('serves the plan and reports of a finished job', withServer({}, async () => ({
+  success: true,
+  splitPlan: { source: 'report.pdf', reports: [{ pages: [1, 2] }] },
+  results: [{ reportIndex: 0, success: true, pageCount: 2, uploadResult: { filename: '2024/12/report_x_0.pdf' } }]
+}), async ({ base }) => {
+  const created = await (await fetch(`${base}/jobs`, RAW_PDF)).json();
+  await waitForJob(base, created.id);
+
+  const plan = await (await fetch(`${base}/jobs/${created.id}/plan`)).json();
+  assert.deepEqual(plan.reports, [{ pages: [1, 2] }]);
+
+  const { reports } = await (await fetch(`${base}/jobs/${created.id}/reports`)).json();
+  assert.equal(reports[0].filename, '2024/12/report_x_0.pdf');
+
+  assert.equal((await fetch(`${base}/jobs/${created.id}`, { method: 'DELETE' })).status, 409);
+}));
+
+test('cancels a running job through its abort signal and keeps the upload', withServer({}, options => new Promise(resolve => {
+  options.signal.addEventListener('abort', () => resolve({ success: false, error: 'Processing was cancelled' }));
+}), async ({ processor, base }) => {
+  const created = await (await fetch(`${base}/jobs`, RAW_PDF)).json();
+  assert.ok(created.id);
+  while (processor.calls.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+  const cancel = await fetch(`${base}/jobs/${created.id}`, { method: 'DELETE' });
+  assert.equal(cancel.status, 202);
+  assert.equal((await cancel.json()).status, 'cancelling');
+
+  const status = await waitForJob(base, created.id);
+  assert.equal(status.status, 'cancelled');
+  assert.equal(fs.existsSync(processor.calls[0].pdfPath), true);
+}));
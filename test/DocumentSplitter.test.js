@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { DocumentSplitter } from '../src/processors/DocumentSplitter.js';
+
+function createSplitter(processing = {}) {
+  return new DocumentSplitter(new Config().merge({ processing, logging: { level: 'silent' } }));
+}
+
+function page(index, { name, patientId, dob }, text = '') {
+  return {
+    index,
+    text,
+    keyValuePairs: { 'patient name': name, 'patient id': patientId, 'date of birth': dob },
+    tables: []
+  };
+}
+
+// A page without patient identifiers, e.g. the second page of a results table
+function continuation(index, text = '') {
+  return { index, text, keyValuePairs: {}, tables: [] };
+}
+
+test('keeps the printed DOB and normalizes slash-formatted dates', () => {
+  const info = createSplitter()._extractPatientInfo(page(0, { name: 'John Smith', patientId: 'MRN001234', dob: '03/15/1985' }));
+
+  assert.equal(info.dob, '1985-03-15');
+  assert.equal(info.dobRaw, '03/15/1985');
+});
+
+test('uses slash-formatted DOBs as evidence between near-identical IDs', () => {
+  const splitter = createSplitter();
+
+  const different = splitter.splitIntoPatientReports([
+    page(0, { name: 'John Smith', patientId: 'MRN001234', dob: '03/15/1985' }),
+    page(1, { name: 'John Smith', patientId: 'MRN001235', dob: '07/22/1990' })
+  ]);
+  assert.equal(different.length, 2);
+  assert.equal(different[1].splitReason, 'id_fuzzy_dob_mismatch');
+
+  const same = splitter.splitIntoPatientReports([
+    page(0, { name: 'John Smith', patientId: 'MRN001234', dob: '03/15/1985' }),
+    page(1, { name: 'John Smith', patientId: 'MRN001235', dob: '3/15/1985' })
+  ]);
+  assert.equal(same.length, 1);
+});
+
+test('consistently numbered pages without identifiers continue a report without review', () => {
+  const [report] = createSplitter().splitIntoPatientReports([
+    page(0, { name: 'John Smith', patientId: 'MRN001234' }, 'Page 1 of 3'),
+    continuation(1, 'Page 2 of 3'),
+    continuation(2, 'Page 3 of 3')
+  ]);
+
+  assert.equal(report.pageCount, 3);
+  assert.deepEqual(report.boundaryDecisions.slice(1).map(decision => decision.reason), ['numbered_continuation', 'numbered_continuation']);
+  assert.equal(report.needsReview, false);
+});
+
+test('pages without identifiers or page numbers still go to review', () => {
+  const [report] = createSplitter().splitIntoPatientReports([
+    page(0, { name: 'John Smith', patientId: 'MRN001234' }),
+    continuation(1)
+  ]);
+
+  assert.equal(report.pageCount, 2);
+  assert.equal(report.needsReview, true);
+  assert.deepEqual(report.reviewReasons, ['no_identifiers']);
+});
+
+test('a page number that does not follow on is no evidence of continuation', () => {
+  const [report] = createSplitter().splitIntoPatientReports([
+    page(0, { name: 'John Smith', patientId: 'MRN001234' }, 'Page 1 of 2'),
+    continuation(1, 'Page 1 of 4')
+  ]);
+
+  assert.equal(report.needsReview, true);
+  assert.ok(report.reviewReasons.includes('no_identifiers'));
+});
+
+test('patient grouping does not move a page to an earlier patient on inconclusive identifiers', () => {
+  const reports = createSplitter({ groupingMode: 'patient' }).splitIntoPatientReports([
+    page(0, { patientId: 'MRN001234' }),
+    page(1, { name: 'Jane Doe', patientId: 'MRN009876' }),
+    page(2, { name: 'John Smith' })
+  ]);
+
+  assert.deepEqual(reports.map(report => report.pages.map(p => p.index)), [[0], [1], [2]]);
+  assert.equal(reports[2].splitReason, 'incomparable_identifiers');
+  assert.equal(reports[2].needsReview, true);
+});
+
+test('patient grouping keeps an inconclusive page with the page before it, flagged for review', () => {
+  const reports = createSplitter({ groupingMode: 'patient' }).splitIntoPatientReports([
+    page(0, { patientId: 'MRN001234' }),
+    page(1, { name: 'John Smith' })
+  ]);
+
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].needsReview, true);
+  assert.deepEqual(reports[0].reviewReasons, ['incomparable_identifiers']);
+});
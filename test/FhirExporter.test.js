@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { FhirExporter } from '../src/exporters/FhirExporter.js';
+
+const uploadResult = { filename: '2024/12/report_0.pdf', location: 's3://bucket/2024/12/report_0.pdf', size: 1024 };
+const labResults = [{ test: 'Glucose', value: 95, valueText: '95', units: 'mg/dL', referenceRange: null, flag: null }];
+
+function resources(metadata) {
+  const bundle = new FhirExporter(new Config()).buildBundle({ metadata, labResults, uploadResult });
+  return bundle.entry.map(entry => entry.resource);
+}
+
+test('results are effective at the specimen collection date', () => {
+  const found = resources({ name: 'John Smith', patientId: 'MRN001234', collectionDate: '2024-12-15' });
+  const report = found.find(resource => resource.resourceType === 'DiagnosticReport');
+  const observation = found.find(resource => resource.resourceType === 'Observation');
+
+  assert.equal(report.effectiveDateTime, '2024-12-15');
+  assert.equal(observation.effectiveDateTime, '2024-12-15');
+});
+
+test('effectiveDateTime is left out when the collection date is unknown', () => {
+  const found = resources({ name: 'John Smith', patientId: 'MRN001234', collectionDate: null });
+  assert.ok(found.every(resource => !('effectiveDateTime' in resource)));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileCacheStore } from '../src/cache/FileCacheStore.js';
+
+function withCacheDir(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-'));
+    try {
+      await fn(dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('returns stored values until they expire', withCacheDir(async (dir) => {
+  const store = new FileCacheStore({ dir, ttlMs: 50, maxSizeBytes: 0 });
+  await store.set('page', { blocks: [1, 2] });
+
+  assert.deepEqual(await store.get('page'), { blocks: [1, 2] });
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.equal(await store.get('page'), null);
+  assert.equal(fs.existsSync(path.join(dir, 'page.json')), false);
+}));
+
+test('treats a corrupt entry as a miss', withCacheDir(async (dir) => {
+  const store = new FileCacheStore({ dir, ttlMs: 0, maxSizeBytes: 0 });
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{"createdAt":');
+
+  assert.equal(await store.get('broken'), null);
+}));
+
+test('evicts the least recently used entries over the size limit', withCacheDir(async (dir) => {
+  const value = 'x'.repeat(100);
+  const store = new FileCacheStore({ dir, ttlMs: 0, maxSizeBytes: 300 });
+
+  await store.set('a', value);
+  await store.set('b', value);
+  // Make "a" the most recently used
+  const past = new Date(Date.now() - 10000);
+  fs.utimesSync(path.join(dir, 'b.json'), past, past);
+  await store.get('a');
+  await store.set('c', value);
+
+  assert.equal(await store.get('b'), null);
+  assert.equal(await store.get('a'), value);
+  assert.equal(await store.get('c'), value);
+}));
+
+test('rejects keys that could escape the cache directory', withCacheDir(async (dir) => {
+  const store = new FileCacheStore({ dir, ttlMs: 0, maxSizeBytes: 0 });
+  await assert.rejects(store.get('../secrets'), /Invalid cache key/);
+}));
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config } from '../src/config/Config.js';
+import { FileSystemStorage } from '../src/services/FileSystemStorage.js';
+
+const PDF = Buffer.from('%PDF-1.7\n');
+const metadata = { name: 'John Smith', patientId: 'MRN001234', fields: {} };
+
+function withStorage(storageOverrides, fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-storage-'));
+    try {
+      const config = new Config().merge({
+        storage: { backend: 'filesystem', outputDir: dir, pseudonymKey: 'test-key', ...storageOverrides },
+        logging: { level: 'silent' }
+      });
+      await fn(new FileSystemStorage(config), dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('the default key keeps same-named documents apart', withStorage({}, async (storage) => {
+  const first = await storage.uploadReport(PDF, metadata, 0, { sourceFile: 'scan.pdf', documentId: 'doc-1' });
+  const second = await storage.uploadReport(PDF, metadata, 0, { sourceFile: 'scan.pdf', documentId: 'doc-2' });
+
+  assert.notEqual(first.filename, second.filename);
+  assert.match(first.filename, /scan_doc-1_0_[0-9a-f]{16}\.pdf$/);
+}));
+
+test('refuses to write a report over an existing key', withStorage({ keyTemplate: '{sourceFile}_{reportIndex}.pdf' }, async (storage, dir) => {
+  await storage.uploadReport(Buffer.from('%PDF-first'), metadata, 0, { sourceFile: 'scan.pdf', documentId: 'doc-1' });
+
+  await assert.rejects(
+    storage.uploadReport(PDF, metadata, 0, { sourceFile: 'scan.pdf', documentId: 'doc-2' }),
+    /Refusing to overwrite existing report scan_0\.pdf/
+  );
+  assert.equal(fs.readFileSync(path.join(dir, 'scan_0.pdf'), 'utf8'), '%PDF-first');
+}));
+
+test('overwrites an earlier key when asked to', withStorage({ keyTemplate: '{sourceFile}_{reportIndex}.pdf' }, async (storage, dir) => {
+  await storage.uploadReport(Buffer.from('%PDF-first'), metadata, 0, { sourceFile: 'scan.pdf' });
+  await storage.uploadReport(PDF, metadata, 0, { filename: 'scan_0.pdf' });
+
+  assert.equal(fs.readFileSync(path.join(dir, 'scan_0.pdf'), 'utf8'), PDF.toString());
+}));
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config } from '../src/config/Config.js';
+import { FolderWatcher } from '../src/server/FolderWatcher.js';
+import { JobStore } from '../src/services/JobStore.js';
+import { Logger } from '../src/utils/Logger.js';
+
+const PDF = '%PDF-1.7\n%%EOF\n';
+
+// Processor stand-in; results maps a file name to what processReport resolves to (or an Error it throws)
+function createProcessor(config, results = {}) {
+  return {
+    logger: Logger.fromConfig(config),
+    jobStore: new JobStore(config),
+    processed: [],
+    async processReport(pdfPath) {
+      const name = path.basename(pdfPath);
+      this.processed.push(name);
+      const result = results[name] ?? { success: true, documentId: 'doc-1', reportsFailed: 0, results: [] };
+      if (result instanceof Error) throw result;
+      return typeof result === 'function' ? result(pdfPath) : result;
+    }
+  };
+}
+
+function withWatcher(results, fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'folder-watcher-'));
+    const config = new Config().merge({
+      watch: { dir: path.join(dir, 'inbox'), stableMs: 0, patterns: ['*.pdf'] },
+      jobs: { stateDir: path.join(dir, 'jobs') },
+      logging: { level: 'silent' }
+    });
+    // Polls are driven by the tests instead of start()'s timer
+    for (const sub of ['processed', 'failed']) {
+      fs.mkdirSync(path.join(config.watch.dir, sub), { recursive: true });
+    }
+    const processor = createProcessor(config, typeof results === 'function' ? results(config) : results);
+    const watcher = new FolderWatcher(config, processor);
+    try {
+      await fn({ watcher, processor, inbox: config.watch.dir });
+    } finally {
+      await watcher.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Two polls: the first notes the file, the second finds it unchanged and queues it
+async function pollUntilIdle(watcher) {
+  await watcher._poll();
+  await watcher._poll();
+  await watcher.queue.onIdle();
+}
+
+function readResult(filePath) {
+  return JSON.parse(fs.readFileSync(`${filePath}.result.json`, 'utf8'));
+}
+
+test('moves processed documents to processed/ with a result file', withWatcher({}, async ({ watcher, processor, inbox }) => {
+  fs.writeFileSync(path.join(inbox, 'scan.pdf'), PDF);
+  fs.writeFileSync(path.join(inbox, 'notes.txt'), 'not a PDF');
+  fs.writeFileSync(path.join(inbox, '.partial.pdf'), PDF);
+  await pollUntilIdle(watcher);
+
+  assert.deepEqual(processor.processed, ['scan.pdf']);
+  const target = path.join(inbox, 'processed', 'scan.pdf');
+  assert.equal(fs.existsSync(target), true);
+  assert.equal(fs.existsSync(path.join(inbox, 'scan.pdf')), false);
+  assert.deepEqual({ source: readResult(target).source, success: readResult(target).success }, { source: 'scan.pdf', success: true });
+}));
+
+test('waits for a file to stop changing before processing it', withWatcher({}, async ({ watcher, processor, inbox }) => {
+  const filePath = path.join(inbox, 'scan.pdf');
+  fs.writeFileSync(filePath, '%PDF-1.7\n');
+  await watcher._poll();
+  fs.appendFileSync(filePath, '%%EOF\n');
+  await watcher._poll();
+  await watcher.queue.onIdle();
+  assert.deepEqual(processor.processed, []);
+
+  await watcher._poll();
+  await watcher.queue.onIdle();
+  assert.deepEqual(processor.processed, ['scan.pdf']);
+}));
+
+test('sends failed runs and runs with failed pages to failed/', withWatcher({
+  'broken.pdf': new Error('Failed to load PDF'),
+  'partial.pdf': { success: true, failedPages: [{ pageNumber: 2 }], results: [] }
+}, async ({ watcher, inbox }) => {
+  fs.writeFileSync(path.join(inbox, 'broken.pdf'), PDF);
+  fs.writeFileSync(path.join(inbox, 'partial.pdf'), PDF);
+  await pollUntilIdle(watcher);
+
+  const broken = readResult(path.join(inbox, 'failed', 'broken.pdf'));
+  assert.equal(broken.success, false);
+  assert.equal(broken.error, 'Failed to load PDF');
+  assert.equal(readResult(path.join(inbox, 'failed', 'partial.pdf')).failedPages, 1);
+}));
+
+test('does not overwrite an earlier document of the same name', withWatcher({}, async ({ watcher, inbox }) => {
+  fs.writeFileSync(path.join(inbox, 'processed', 'scan.pdf'), 'earlier');
+  fs.writeFileSync(path.join(inbox, 'scan.pdf'), PDF);
+  await pollUntilIdle(watcher);
+
+  const processed = fs.readdirSync(path.join(inbox, 'processed')).filter(name => name.endsWith('.pdf'));
+  assert.equal(processed.length, 2);
+  assert.equal(fs.readFileSync(path.join(inbox, 'processed', 'scan.pdf'), 'utf8'), 'earlier');
+}));
+
+test('points the checkpoints of an incomplete run at the moved source', withWatcher(config => {
+  const jobStore = new JobStore(config);
+  return {
+    'scan.pdf': async pdfPath => {
+      await jobStore.create({ jobId: 'job-1', source: pdfPath, fingerprint: 'abc', totalPages: 2 });
+      return { success: true, jobId: 'job-1', reportsFailed: 1, results: [] };
+    }
+  };
+}, async ({ watcher, processor, inbox }) => {
+  fs.writeFileSync(path.join(inbox, 'scan.pdf'), PDF);
+  await pollUntilIdle(watcher);
+
+  const job = await processor.jobStore.load('job-1');
+  assert.equal(job.source, path.join(inbox, 'failed', 'scan.pdf'));
+}));
+
+test('refuses to watch a missing directory', async () => {
+  const config = new Config().merge({ watch: { dir: path.join(os.tmpdir(), 'no-such-watch-dir') }, logging: { level: 'silent' } });
+  const watcher = new FolderWatcher(config, createProcessor(config));
+  await assert.rejects(watcher.start(), /is not accessible/);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { Hl7Serializer } from '../src/exporters/Hl7Serializer.js';
+
+const uploadResult = { filename: '2024/12/report_0.pdf', location: 's3://bucket/2024/12/report_0.pdf' };
+
+function obrFields(metadata) {
+  const { message } = new Hl7Serializer(new Config()).serialize({ metadata, uploadResult });
+  return message.split('\r').find(segment => segment.startsWith('OBR|')).split('|');
+}
+
+test('OBR-7 carries the specimen collection date', () => {
+  const fields = obrFields({ name: 'John Smith', patientId: 'MRN001234', collectionDate: '2024-12-15' });
+  assert.equal(fields[7], '20241215');
+  assert.match(fields[22], /^\d{14}/);
+});
+
+test('OBR-7 stays empty when the collection date is unknown', () => {
+  const fields = obrFields({ name: 'John Smith', patientId: 'MRN001234', collectionDate: null });
+  assert.equal(fields[7], '');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue } from '../src/utils/JobQueue.js';
+
+// Task that finishes when release() is called, or rejects when its signal is aborted
+function deferredTask() {
+  let release;
+  const started = [];
+  const task = signal => new Promise((resolve, reject) => {
+    started.push(signal);
+    release = resolve;
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+  return { task, started, release: value => release(value) };
+}
+
+test('runs at most concurrency tasks at a time, in order', async () => {
+  const queue = new JobQueue({ concurrency: 2 });
+  const order = [];
+  const tasks = [1, 2, 3, 4].map(id => queue.push(id, async () => {
+    order.push(id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return id * 10;
+  }));
+
+  assert.equal(queue.queuedCount, 2);
+  assert.deepEqual(await Promise.all(tasks), [10, 20, 30, 40]);
+  assert.deepEqual(order, [1, 2, 3, 4]);
+  assert.equal(queue.runningCount, 0);
+});
+
+test('cancel drops a queued task and aborts a running one', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const running = deferredTask();
+  const runningPromise = queue.push('a', running.task);
+  const queuedPromise = queue.push('b', async () => 'never');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(queue.cancel('b'), 'dequeued');
+  await assert.rejects(queuedPromise, { name: 'AbortError' });
+
+  assert.equal(queue.cancel('a'), 'aborted');
+  assert.equal(running.started[0].aborted, true);
+  await assert.rejects(runningPromise, { name: 'AbortError' });
+
+  assert.equal(queue.cancel('missing'), null);
+});
+
+test('clear rejects queued tasks and onIdle waits for running ones', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const running = deferredTask();
+  const runningPromise = queue.push('a', running.task);
+  const queuedPromise = queue.push('b', async () => 'never');
+  await new Promise(resolve => setImmediate(resolve));
+
+  queue.clear();
+  await assert.rejects(queuedPromise, /Queue was cleared/);
+
+  let idle = false;
+  const idlePromise = queue.onIdle().then(() => { idle = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(idle, false);
+
+  running.release('done');
+  assert.equal(await runningPromise, 'done');
+  await idlePromise;
+  assert.equal(idle, true);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config } from '../src/config/Config.js';
+import { JobStore } from '../src/services/JobStore.js';
+
+function withStore(jobs, fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    try {
+      await fn(new JobStore(new Config().merge({ jobs: { stateDir: dir, ...jobs } })), dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+const JOB = { jobId: 'job-1', source: 'scan.pdf', fingerprint: 'abc', totalPages: 3, options: { sourceName: 'report.pdf' } };
+
+test('saved jobs load back with an absolute source path', withStore({}, async (store) => {
+  await store.create(JOB);
+  const job = await store.load('job-1');
+
+  assert.equal(job.status, 'running');
+  assert.equal(job.source, path.resolve('scan.pdf'));
+  assert.deepEqual(job.options, { sourceName: 'report.pdf' });
+  assert.ok(job.updatedAt);
+}));
+
+test('unknown and malformed job IDs are rejected', withStore({}, async (store) => {
+  await assert.rejects(store.load('missing'), /Unknown job missing/);
+  await assert.rejects(store.load('../etc'), /Invalid job ID/);
+}));
+
+test('page checkpoints keep extracted data but not page bytes', withStore({}, async (store, dir) => {
+  await store.create(JOB);
+  await store.savePage('job-1', { index: 0, text: 'Patient Name: John Smith', bytes: Buffer.from('%PDF'), fromCache: true });
+  await store.savePage('job-1', { index: 2, text: 'Page 3' });
+  // A checkpoint cut short by a crash
+  fs.writeFileSync(path.join(dir, 'job-1', 'pages', '00001.json'), '{"index": 1, "te');
+
+  const pages = await store.loadPages('job-1');
+  assert.deepEqual([...pages.keys()].sort(), [0, 2]);
+  assert.deepEqual(pages.get(0), { index: 0, text: 'Patient Name: John Smith' });
+  assert.equal((await store.loadPages('job-2')).size, 0);
+}));
+
+test('recorded reports survive a reload', withStore({}, async (store) => {
+  const job = await store.create(JOB);
+  await store.recordReport(job, 0, { pages: [1, 2], status: 'uploaded', filename: 'a.pdf' });
+
+  assert.equal((await store.load('job-1')).reports[0].status, 'uploaded');
+}));
+
+test('completed jobs are removed unless kept, incomplete ones are kept', withStore({}, async (store) => {
+  const completed = await store.create(JOB);
+  await store.finish(completed, 'completed');
+  await assert.rejects(store.load('job-1'), /Unknown job/);
+
+  const partial = await store.create({ ...JOB, jobId: 'job-2' });
+  await store.finish(partial, 'partial');
+  assert.equal((await store.load('job-2')).status, 'partial');
+}));
+
+test('keepCompleted keeps finished jobs', withStore({ keepCompleted: true }, async (store) => {
+  await store.finish(await store.create(JOB), 'completed');
+  assert.equal((await store.load('job-1')).status, 'completed');
+}));
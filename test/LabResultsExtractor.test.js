@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { LabResultsExtractor } from '../src/extractors/LabResultsExtractor.js';
+
+const extractor = new LabResultsExtractor(new Config());
+const HEADER = ['Test', 'Result', 'Units', 'Reference Range', 'Flag'];
+
+function resultsPage(index, rows, header = HEADER) {
+  return { index, tables: [{ rows: [header, ...rows] }] };
+}
+
+test('parses values, units, ranges and flags', () => {
+  const [glucose, potassium, wbc] = extractor.extractResults(resultsPage(0, [
+    ['Glucose', '142', 'mg/dL', '70-99', 'H'],
+    ['Potassium', '4.1', 'mmol/L', '3.5-5.1', ''],
+    ['WBC', '<0.5', 'K/uL', '4.5 - 11.0', 'critical low']
+  ]));
+
+  assert.deepEqual(
+    { value: glucose.value, units: glucose.units, low: glucose.referenceRange.low, high: glucose.referenceRange.high, flag: glucose.flag },
+    { value: 142, units: 'mg/dL', low: 70, high: 99, flag: 'H' }
+  );
+  assert.equal(potassium.flag, 'N');
+  assert.equal(potassium.isAbnormal, false);
+  assert.equal(wbc.comparator, '<');
+  assert.equal(wbc.flag, 'LL');
+  assert.equal(wbc.isCritical, true);
+});
+
+test('tables without a test and result column are not results tables', () => {
+  const details = { rows: [['Patient Name', 'John Smith'], ['Patient ID', 'MRN001234']] };
+
+  assert.equal(extractor.isResultsTable(details), false);
+  assert.equal(extractor.isResultsTable({ rows: [HEADER, ['Glucose', '142', 'mg/dL', '70-99', '']] }), true);
+  assert.deepEqual(extractor.extractResults({ index: 0, tables: [details] }), []);
+});
+
+test('drops rows repeated where a table continues onto the next page', () => {
+  const results = extractor.extractFromReport([
+    resultsPage(0, [
+      ['Sodium', '140', 'mmol/L', '136-145', ''],
+      ['Potassium', '4.1', 'mmol/L', '3.5-5.1', '']
+    ]),
+    resultsPage(1, [
+      ['Potassium', '4.1', 'mmol/L', '3.5-5.1', ''],
+      ['Chloride', '101', 'mmol/L', '98-107', '']
+    ])
+  ]);
+
+  assert.deepEqual(results.map(result => result.test), ['Sodium', 'Potassium', 'Chloride']);
+});
+
+test('keeps identical results that are not a table continuation', () => {
+  const serial = [['Troponin', '0.02', 'ng/mL', '<0.04', '']];
+
+  // The same value in another table on a later, non-adjacent page is a separate draw
+  const apart = extractor.extractFromReport([resultsPage(0, serial), resultsPage(2, serial)]);
+  assert.equal(apart.length, 2);
+
+  // A table with a different header on the next page is a new table
+  const otherTable = extractor.extractFromReport([
+    resultsPage(0, serial),
+    resultsPage(1, serial, ['Analyte', 'Value', 'Units', 'Range', 'Flag'])
+  ]);
+  assert.equal(otherTable.length, 2);
+
+  // Two tables on the same page are never continuations of each other
+  const samePage = extractor.extractFromReport([{ index: 0, tables: [{ rows: [HEADER, ...serial] }, { rows: [HEADER, ...serial] }] }]);
+  assert.equal(samePage.length, 2);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { ManifestStore } from '../src/services/ManifestStore.js';
+
+// Storage stand-in keeping artifacts in memory
+function createStore(policy = 'skip') {
+  const artifacts = new Map();
+  const storage = {
+    artifacts,
+    async uploadArtifact(filename, body) { artifacts.set(filename, body); },
+    async readArtifact(filename) { return artifacts.get(filename) ?? null; }
+  };
+  const config = new Config().merge({ idempotency: { policy } });
+  return new ManifestStore(config, storage);
+}
+
+function report(reportIndex, pageIndexes, needsReview = false) {
+  return { reportIndex, pages: pageIndexes.map(index => ({ index })), needsReview };
+}
+
+function previousRun(store, reports, status = 'uploaded') {
+  const manifest = store.create({ fingerprint: 'abc', source: 'scan.pdf', documentId: 'doc-1', totalPages: 4 }, null);
+  store.planReports(manifest, null, reports, 'review/');
+  manifest.reports.forEach((entry, index) => {
+    Object.assign(entry, { status, key: `2024/12/scan_doc-1_${index}.pdf`, sha256: 'hash', size: 10 });
+  });
+  return store.finish(manifest);
+}
+
+test('saved manifests load back by fingerprint', async () => {
+  const store = createStore();
+  const manifest = store.create({ fingerprint: 'abc', source: 'scan.pdf', documentId: 'doc-1', totalPages: 2 }, null);
+  await store.save(manifest);
+
+  assert.ok(store.storage.artifacts.has('manifests/abc.json'));
+  assert.equal((await store.load('abc')).documentId, 'doc-1');
+  assert.equal(await store.load('missing'), null);
+});
+
+test('an unreadable manifest is an error', async () => {
+  const store = createStore();
+  store.storage.artifacts.set('manifests/abc.json', '{');
+  await assert.rejects(store.load('abc'), /manifests\/abc\.json is not valid JSON/);
+});
+
+test('the skip policy skips reports uploaded with the same pages', () => {
+  const store = createStore('skip');
+  const previous = previousRun(store, [report(0, [0, 1]), report(1, [2, 3])]);
+  const manifest = store.create({ fingerprint: 'abc', source: 'scan.pdf', documentId: 'doc-2', totalPages: 4 }, previous);
+
+  const decisions = store.planReports(manifest, previous, [report(0, [0, 1]), report(1, [2, 3])], 'review/');
+
+  assert.deepEqual(decisions.map(decision => decision.skip), [true, true]);
+  assert.equal(decisions[0].filename, '2024/12/scan_doc-1_0.pdf');
+  assert.equal(manifest.previousDocumentId, 'doc-1');
+  assert.deepEqual(manifest.staleKeys, []);
+});
+
+test('the overwrite policy reuses earlier keys without skipping', () => {
+  const store = createStore('overwrite');
+  const previous = previousRun(store, [report(0, [0, 1])]);
+  const manifest = store.create({ fingerprint: 'abc', source: 'scan.pdf', documentId: 'doc-2', totalPages: 4 }, previous);
+
+  const [decision] = store.planReports(manifest, previous, [report(0, [0, 1])], 'review/');
+
+  assert.equal(decision.skip, false);
+  assert.equal(decision.filename, '2024/12/scan_doc-1_0.pdf');
+  assert.equal(decision.entry.status, 'pending');
+});
+
+test('re-split or re-filed reports get fresh keys and leave the old ones stale', () => {
+  const store = createStore('skip');
+  const previous = previousRun(store, [report(0, [0, 1]), report(1, [2, 3])]);
+  const manifest = store.create({ fingerprint: 'abc', source: 'scan.pdf', documentId: 'doc-2', totalPages: 4 }, previous);
+
+  const decisions = store.planReports(manifest, previous, [report(0, [0, 1, 2]), report(1, [3], true)], 'review/');
+
+  assert.deepEqual(decisions.map(decision => decision.filename), [null, null]);
+  assert.deepEqual(manifest.staleKeys, ['2024/12/scan_doc-1_0.pdf', '2024/12/scan_doc-1_1.pdf']);
+});
+
+test('a run with failed pages or reports finishes partial', () => {
+  const store = createStore();
+  const complete = previousRun(store, [report(0, [0, 1])]);
+  assert.equal(complete.status, 'completed');
+
+  const withFailedPages = store.finish(previousRun(store, [report(0, [0, 1])]), [{ pageNumber: 3 }]);
+  assert.equal(withFailedPages.status, 'partial');
+  assert.deepEqual(withFailedPages.failedPages, [3]);
+
+  const withFailedReport = previousRun(store, [report(0, [0, 1])], 'failed');
+  assert.equal(withFailedReport.status, 'partial');
+});
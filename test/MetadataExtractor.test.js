@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { MetadataExtractor } from '../src/extractors/MetadataExtractor.js';
+
+function createExtractor() {
+  return new MetadataExtractor(new Config().merge({ logging: { level: 'silent' } }));
+}
+
+test('reads label/value cells from report detail tables', () => {
+  const metadata = createExtractor().extractMetadata({
+    index: 0,
+    keyValuePairs: { 'patient name': 'John Smith', mrn: 'MRN001234' },
+    tables: [{
+      rows: [
+        ['Performing Lab', 'Quest Diagnostics'],
+        ['Accession #:', 'A-778812'],
+        ['Collection Date: 12/15/2024', '']
+      ]
+    }]
+  });
+
+  assert.equal(metadata.performingLab, 'Quest Diagnostics');
+  assert.equal(metadata.accessionNumber, 'A778812');
+  assert.equal(metadata.collectionDate, '2024-12-15');
+});
+
+test('ignores lab results tables, header rows and labels that only contain an alias', () => {
+  const metadata = createExtractor().extractMetadata({
+    index: 0,
+    keyValuePairs: { 'patient name': 'John Smith', mrn: 'MRN001234' },
+    tables: [
+      {
+        rows: [
+          ['Test', 'Result', 'Status', 'Comment'],
+          ['Lipid Panel', 'Pending', 'Available', 'See below'],
+          ['Lab', 'See below', '', '']
+        ]
+      },
+      {
+        rows: [
+          ['Lab Comments', 'Provider notified'],
+          ['Ordering Provider', 'Performing Lab'],
+          ['Dr. Jones', 'Quest Diagnostics']
+        ]
+      }
+    ]
+  });
+
+  assert.equal(metadata.performingLab, null);
+  assert.equal(metadata.orderingProvider, null);
+});
+
+test('normalizes values given for a field the way extracted values are', () => {
+  const extractor = createExtractor();
+
+  assert.equal(extractor.normalizeField('dob', '03/15/1985'), '1985-03-15');
+  assert.equal(extractor.normalizeField('patientId', 'MRN-001234'), 'MRN001234');
+  assert.equal(extractor.normalizeField('dob', '13/45/1985'), null);
+});
+
+test('rejects custom fields named after keys the pipeline sets on metadata', () => {
+  const extractor = createExtractor();
+
+  for (const field of ['mpi', 'reviewStatus', 'splitConfidence', 'pageCount']) {
+    assert.throws(() => extractor.registerField(field, { type: 'string', aliases: [field] }), /is reserved/);
+  }
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config } from '../src/config/Config.js';
+import { MpiMatcher } from '../src/processors/MpiMatcher.js';
+
+const INDEX_CSV = [
+  'MRN,First Name,Last Name,Date of Birth,Gender',
+  'MRN001234,John,Smith,03/15/1985,male',
+  'MRN009876,Jane,Doe,1990-07-22,F',
+  'MRN005555,"Mary, Ann",Jones,1970-01-01,F',
+  'MRN007777,Mary Ann,Jones,1970-01-01,F'
+].join('\n');
+
+async function withMatcher(mpi, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpi-'));
+  try {
+    const indexPath = path.join(dir, 'index.csv');
+    fs.writeFileSync(indexPath, INDEX_CSV);
+    const matcher = new MpiMatcher(new Config().merge({ mpi: { indexPath, ...mpi }, logging: { level: 'silent' } }));
+    await matcher.load();
+    await fn(matcher);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function metadata(values) {
+  return { name: null, dob: null, patientId: null, sex: null, fields: {}, extractionMethod: {}, ...values };
+}
+
+test('loads CSV rows with quoted fields onto metadata field names', () => withMatcher({}, async (matcher) => {
+  assert.equal(matcher.records.length, 4);
+  assert.deepEqual(matcher.records[0], { patientId: 'MRN001234', name: 'John Smith', dob: '1985-03-15', sex: 'M' });
+  assert.equal(matcher.records[2].name, 'Mary, Ann Jones');
+}));
+
+test('matches by MRN and corrects a misread name from the index', () => withMatcher({}, async (matcher) => {
+  const extracted = metadata({ patientId: 'MRN001234', name: 'John Smyth', dob: '1985-03-15' });
+  const result = matcher.match(extracted);
+
+  assert.equal(result.status, 'matched');
+  assert.equal(result.method, 'mrn');
+  assert.equal(extracted.name, 'John Smith');
+  assert.equal(extracted.extractionMethod.name, 'mpi');
+  assert.deepEqual(result.corrections.map(correction => [correction.field, correction.type]), [['name', 'corrected'], ['sex', 'filled']]);
+}));
+
+test('matches an MRN with OCR look-alikes and leaves overridden fields alone', () => withMatcher({}, async (matcher) => {
+  const extracted = metadata({ patientId: 'MRNOO1234', name: 'John Smith', overriddenFields: ['patientId'] });
+  const result = matcher.match(extracted);
+
+  assert.equal(result.method, 'mrn_ocr');
+  assert.equal(extracted.patientId, 'MRNOO1234');
+}));
+
+test('an MRN that belongs to someone else is a conflict', () => withMatcher({}, async (matcher) => {
+  const result = matcher.match(metadata({ patientId: 'MRN001234', name: 'Jane Doe', dob: '1990-07-22' }));
+
+  assert.equal(result.status, 'conflict');
+  assert.deepEqual(result.conflicts.map(conflict => conflict.reason), ['id_belongs_to_different_name', 'dob_differs_from_index']);
+  assert.equal(matcher.needsReview(result), true);
+}));
+
+test('falls back to name and DOB, and reports ties as ambiguous', () => withMatcher({}, async (matcher) => {
+  const byName = matcher.match(metadata({ name: 'DOE, JANE', dob: '07/22/1990' }));
+  assert.equal(byName.status, 'matched');
+  assert.equal(byName.method, 'name_dob');
+  assert.equal(byName.indexPatientId, 'MRN009876');
+
+  const tie = matcher.match(metadata({ name: 'Mary Ann Jones', dob: '1970-01-01' }));
+  assert.equal(tie.status, 'ambiguous');
+  assert.equal(matcher.needsReview(tie), true);
+}));
+
+test('unknown patients only go to review when configured', async () => {
+  await withMatcher({}, async (matcher) => {
+    const result = matcher.match(metadata({ patientId: 'MRN424242', name: 'Nobody Known' }));
+    assert.equal(result.status, 'no_match');
+    assert.equal(matcher.needsReview(result), false);
+  });
+  await withMatcher({ reviewOnNoMatch: true }, async (matcher) => {
+    assert.equal(matcher.needsReview(matcher.match(metadata({ patientId: 'MRN424242' }))), true);
+  });
+});
+
+test('metadata without identifiers is skipped', () => withMatcher({}, async (matcher) => {
+  assert.equal(matcher.match(metadata({ dob: '1985-03-15' })).status, 'skipped');
+}));
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { PageClassifier } from '../src/processors/PageClassifier.js';
+
+const classifier = new PageClassifier(new Config());
+
+function page(index, lines) {
+  return {
+    index,
+    text: lines.join('\n'),
+    rawBlocks: lines.map(line => ({ BlockType: 'LINE', Text: line }))
+  };
+}
+
+const REPORT = page(0, ['Patient Name: John Smith', 'MRN: MRN001234', 'Glucose 142 mg/dL']);
+
+test('classifies empty and near-empty pages as blank', () => {
+  assert.deepEqual(classifier.classify(page(0, [])), { type: 'blank', reason: 'no_text_lines' });
+  assert.deepEqual(classifier.classify(page(0, ['- 2 -'])), { type: 'blank', reason: 'low_text_density' });
+});
+
+test('classifies sparse pages carrying a marker as separators', () => {
+  const separator = classifier.classify(page(0, ['PATIENT SEPARATOR', 'Do not file']));
+  assert.deepEqual(separator, { type: 'separator', reason: 'marker:patient separator' });
+});
+
+test('keeps report pages that merely mention a marker', () => {
+  const lines = ['Patient Name: John Smith', ...Array(8).fill('Glucose 142 mg/dL'), 'Printed after the batch separator'];
+  assert.equal(classifier.classify(page(0, lines)).type, 'content');
+  assert.deepEqual(classifier.classify(REPORT), { type: 'content', reason: null });
+});
+
+test('supports regular expression markers', () => {
+  const custom = new PageClassifier(new Config().merge({ processing: { separatorMarkers: [/^-{3} NEXT PATIENT -{3}$/m] } }));
+  assert.equal(custom.classify(page(0, ['--- NEXT PATIENT ---'])).type, 'separator');
+});
+
+test('filters blank pages and separators and marks the page after a separator', () => {
+  const { pages, removedPages } = classifier.filterPages([
+    { ...REPORT, index: 0 },
+    page(1, []),
+    page(2, ['Separator Sheet']),
+    { ...REPORT, index: 3 },
+    { ...REPORT, index: 4 }
+  ]);
+
+  assert.deepEqual(pages.map(p => [p.index, Boolean(p.followsSeparator)]), [[0, false], [3, true], [4, false]]);
+  assert.deepEqual(removedPages.map(p => [p.pageNumber, p.type]), [[2, 'blank'], [3, 'separator']]);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config } from '../src/config/Config.js';
+import { PatientMatcher } from '../src/processors/PatientMatcher.js';
+
+const matcher = new PatientMatcher(new Config().merge({ logging: { level: 'silent' } }));
+
+test('names match regardless of order, case, punctuation and suffixes', () => {
+  assert.equal(matcher.compareNames('SMITH, John Jr.', 'john smith'), 1);
+  assert.equal(matcher.compareNames('John M. Smith', 'John Smith'), 1);
+  assert.equal(matcher.compareNames('John Michael Smith', 'John Smith'), 0.9);
+  assert.ok(matcher.namesMatch('Jon Smith', 'John Smith'));
+  assert.ok(!matcher.namesMatch('Jane Doe', 'John Smith'));
+});
+
+test('initials alone cannot confirm a name', () => {
+  assert.equal(matcher.compareNames('J S', 'J. S.'), null);
+  assert.equal(matcher.compareNames('J. S.', 'Jane Stone'), null);
+  assert.equal(matcher.compareNames('J M S', 'John Smith'), null);
+  assert.ok(!matcher.namesMatch('J S', 'J S'));
+});
+
+test('different initials rule a name out', () => {
+  assert.equal(matcher.compareNames('J S', 'M K'), 0);
+  assert.equal(matcher.compareNames('J. D.', 'John Smith'), 0);
+});
+
+test('missing names are not compared', () => {
+  assert.equal(matcher.compareNames(null, 'John Smith'), null);
+  assert.equal(matcher.compareNames('Jr.', 'John Smith'), null);
+});
+
+test('IDs compare exactly, through OCR look-alikes, or within the edit distance', () => {
+  assert.equal(matcher.compareIds('MRN-001234', 'mrn001234'), 'match');
+  assert.equal(matcher.compareIds('MRN0O1234', 'MRN001234'), 'ocr');
+  assert.equal(matcher.compareIds('MRN001234', 'MRN001235'), 'fuzzy');
+  assert.equal(matcher.compareIds('MRN001234', 'MRN998877'), 'mismatch');
+  assert.equal(matcher.compareIds(null, 'MRN001234'), null);
+});
+
+test('DOBs compare across formats', () => {
+  assert.equal(matcher.compareDobs('03/15/1985', '1985-03-15'), true);
+  assert.equal(matcher.compareDobs('03/15/1985', '1985-03-16'), false);
+  assert.equal(matcher.compareDobs(null, '1985-03-15'), null);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config } from '../src/config/Config.js';
+import { ReportProcessor } from '../src/ReportProcessor.js';
+
+const SAMPLE = 'sample-multi-patient-lab-report.pdf';
+
+// Config.validate() requires the region from the environment whenever Textract may be called
+process.env.AWS_REGION ??= 'us-east-1';
+
+function withTempDir(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-processor-'));
+    try {
+      await fn(dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Processor that sends every page to a Textract stand-in counting AnalyzeDocument calls
+function createProcessor(dir, overrides = {}) {
+  const config = new Config().merge({
+    aws: { region: 'us-east-1' },
+    ocr: { provider: 'textract', textractFallback: false },
+    cache: { dir: path.join(dir, 'cache') },
+    storage: { backend: 'filesystem', outputDir: path.join(dir, 'out'), pseudonymKey: 'test-key' },
+    jobs: { stateDir: path.join(dir, 'jobs') },
+    logging: { level: 'silent' },
+    ...overrides
+  });
+  const processor = new ReportProcessor(config);
+
+  let page = 0;
+  processor.textractService.client = {
+    calls: 0,
+    async send() {
+      this.calls++;
+      page++;
+      return {
+        Blocks: [
+          { BlockType: 'LINE', Text: `Patient Name: Patient ${page}`, Confidence: 99 }
+        ]
+      };
+    }
+  };
+  return processor;
+}
+
+test('re-applying a split plan reuses cached OCR', withTempDir(async (dir) => {
+  const processor = createProcessor(dir);
+  const preview = await processor.processReport(SAMPLE, { dryRun: true });
+  assert.equal(preview.success, true);
+  const calls = processor.textractService.client.calls;
+  assert.equal(calls, preview.totalPages);
+
+  const rerun = createProcessor(dir);
+  const result = await rerun.processReport(SAMPLE, { dryRun: true, splitPlan: preview.splitPlan });
+
+  assert.equal(result.success, true);
+  assert.equal(rerun.textractService.client.calls, 0);
+  assert.equal(result.reportsFound, preview.reportsFound);
+}));
+
+test('uploads of the same file name are stored under keys of their own', withTempDir(async (dir) => {
+  const processor = createProcessor(dir, { idempotency: { enabled: false } });
+  const first = await processor.processReport(SAMPLE, { sourceName: 'report.pdf', documentId: 'upload-1' });
+  const second = await processor.processReport(SAMPLE, { sourceName: 'report.pdf', documentId: 'upload-2' });
+
+  assert.equal(first.success, true);
+  assert.equal(second.success, true);
+  assert.equal(second.reportsFailed, 0);
+  assert.equal(second.documentId, 'upload-2');
+
+  const firstKeys = first.results.map(report => report.uploadResult.filename);
+  const secondKeys = second.results.map(report => report.uploadResult.filename);
+  assert.ok(firstKeys.every(key => key.includes('report_upload-1_')));
+  assert.ok(secondKeys.every(key => !firstKeys.includes(key)));
+}));
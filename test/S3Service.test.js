@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { Config } from '../src/config/Config.js';
+import { S3Service } from '../src/services/S3Service.js';
+
+const metadata = { name: 'John Smith', patientId: 'MRN001234', fields: {} };
+
+function sha256(body) {
+  return createHash('sha256').update(body).digest('base64');
+}
+
+// S3 stand-in recording commands; respond(command) returns the response or throws
+function createService(respond, s3Overrides = {}) {
+  const config = new Config().merge({
+    aws: { region: 'us-east-1', s3BucketName: 'reports' },
+    storage: { pseudonymKey: 'test-key' },
+    s3: s3Overrides,
+    logging: { level: 'silent' }
+  });
+  const service = new S3Service(config);
+  service.sent = [];
+  service.client = {
+    async send(command) {
+      service.sent.push(command);
+      return respond(command);
+    }
+  };
+  return service;
+}
+
+// Echo the checksums S3 would compute for PUTs, parts and completed multipart uploads
+function storeFaithfully(command) {
+  const input = command.input;
+  switch (command.constructor.name) {
+    case 'PutObjectCommand':
+    case 'UploadPartCommand':
+      return { ETag: '"etag"', ChecksumSHA256: sha256(input.Body) };
+    case 'CreateMultipartUploadCommand':
+      return { UploadId: 'upload-1' };
+    case 'CompleteMultipartUploadCommand': {
+      const parts = input.MultipartUpload.Parts;
+      const partHashes = Buffer.concat(parts.map(part => Buffer.from(part.ChecksumSHA256, 'base64')));
+      return { ETag: '"etag-multipart"', ChecksumSHA256: `${sha256(partHashes)}-${parts.length}` };
+    }
+    default:
+      return {};
+  }
+}
+
+function commandNames(service) {
+  return service.sent.map(command => command.constructor.name);
+}
+
+test('report uploads are conditional on the key being free', async () => {
+  const service = createService(storeFaithfully);
+  await service.uploadReport(Buffer.from('%PDF-1.7'), metadata, 0, { sourceFile: 'scan.pdf', documentId: 'doc-1' });
+
+  const put = service.sent.find(command => command.constructor.name === 'PutObjectCommand');
+  assert.equal(put.input.IfNoneMatch, '*');
+});
+
+test('an earlier key given explicitly is overwritten unconditionally', async () => {
+  const service = createService(storeFaithfully);
+  await service.uploadReport(Buffer.from('%PDF-1.7'), metadata, 0, { filename: '2024/12/scan_0.pdf' });
+
+  const put = service.sent.find(command => command.constructor.name === 'PutObjectCommand');
+  assert.equal(put.input.IfNoneMatch, undefined);
+});
+
+test('a taken key fails the upload instead of replacing the object', async () => {
+  const service = createService(command => {
+    if (command.constructor.name === 'PutObjectCommand') {
+      throw Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+        name: 'PreconditionFailed',
+        $metadata: { httpStatusCode: 412 }
+      });
+    }
+    return {};
+  });
+
+  await assert.rejects(
+    service.uploadReport(Buffer.from('%PDF-1.7'), metadata, 0, { sourceFile: 'scan.pdf' }),
+    /Refusing to overwrite existing report/
+  );
+});
+
+test('verifies the checksum S3 stored for a single PUT', async () => {
+  const service = createService(storeFaithfully);
+  const body = Buffer.from('%PDF-1.7 report');
+  const result = await service.uploadReport(body, metadata, 0, { sourceFile: 'scan.pdf' });
+
+  const put = service.sent.find(command => command.constructor.name === 'PutObjectCommand');
+  assert.equal(put.input.ChecksumAlgorithm, 'SHA256');
+  assert.equal(put.input.ChecksumSHA256, sha256(body));
+  assert.equal(result.checksumSHA256, sha256(body));
+  assert.equal(result.multipart, false);
+});
+
+test('fails an upload whose stored checksum differs or is missing', async () => {
+  const corrupted = createService(command => ({ ...storeFaithfully(command), ChecksumSHA256: sha256('something else') }));
+  await assert.rejects(
+    corrupted.uploadReport(Buffer.from('%PDF-1.7'), metadata, 0, { sourceFile: 'scan.pdf' }),
+    /SHA-256 checksum mismatch/
+  );
+
+  const unchecked = createService(() => ({ ETag: '"etag"' }));
+  await assert.rejects(
+    unchecked.uploadReport(Buffer.from('%PDF-1.7'), metadata, 0, { sourceFile: 'scan.pdf' }),
+    /S3 returned no SHA-256 checksum/
+  );
+});
+
+test('uploads large objects in parts and verifies the composite checksum', async () => {
+  const service = createService(storeFaithfully, { multipartThreshold: 16, partSize: 10, partConcurrency: 2 });
+  const body = Buffer.from('%PDF-1.7 ' + 'x'.repeat(21));
+  const result = await service.uploadReport(body, metadata, 0, { sourceFile: 'scan.pdf' });
+
+  assert.equal(result.multipart, true);
+  const parts = service.sent.filter(command => command.constructor.name === 'UploadPartCommand');
+  assert.deepEqual(parts.map(part => part.input.Body.length), [10, 10, 10]);
+  assert.ok(parts.every(part => part.input.ChecksumSHA256 === sha256(part.input.Body)));
+  assert.match(result.checksumSHA256, /-3$/);
+
+  const complete = service.sent.find(command => command.constructor.name === 'CompleteMultipartUploadCommand');
+  assert.equal(complete.input.IfNoneMatch, '*');
+  assert.ok(!commandNames(service).includes('AbortMultipartUploadCommand'));
+});
+
+test('aborts a multipart upload when a part fails verification', async () => {
+  const service = createService(command => {
+    const response = storeFaithfully(command);
+    if (command.constructor.name === 'UploadPartCommand' && command.input.PartNumber === 2) {
+      return { ...response, ChecksumSHA256: sha256('corrupted part') };
+    }
+    return response;
+  }, { multipartThreshold: 16, partSize: 10, partConcurrency: 1 });
+
+  await assert.rejects(
+    service.uploadReport(Buffer.from('%PDF-1.7 ' + 'x'.repeat(21)), metadata, 0, { sourceFile: 'scan.pdf' }),
+    /checksum mismatch for .* part 2/
+  );
+
+  const names = commandNames(service);
+  assert.ok(!names.includes('CompleteMultipartUploadCommand'));
+  assert.equal(names[names.length - 1], 'AbortMultipartUploadCommand');
+});
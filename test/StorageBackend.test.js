@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StorageBackend } from '../src/services/StorageBackend.js';
+
+const customFields = {
+  insuranceId: { type: 'id', aliases: ['member id'] },
+  room: { type: 'text', aliases: ['room'], identifying: false }
+};
+
+const metadata = {
+  name: 'John Smith',
+  patientId: 'MRN001234',
+  insuranceId: 'INS998877',
+  room: '12B',
+  fields: { name: {}, patientId: {}, insuranceId: {}, room: {} }
+};
+
+function buildMetadata(metadataIdentifiers) {
+  const backend = new StorageBackend({ storage: { metadataIdentifiers, pseudonymKey: 'test-key' }, metadata: { customFields } });
+  return backend._buildS3Metadata(metadata);
+}
+
+test('custom fields follow the identifier policy unless marked non-identifying', () => {
+  const pseudonymized = buildMetadata('pseudonym');
+  assert.equal(pseudonymized.insuranceId, undefined);
+  assert.match(pseudonymized.insuranceIdHash, /^[0-9a-f]{16}$/);
+  assert.equal(pseudonymized.room, '12B');
+
+  const omitted = buildMetadata('omit');
+  assert.equal(omitted.insuranceId, undefined);
+  assert.equal(omitted.insuranceIdHash, undefined);
+  assert.equal(omitted.room, '12B');
+
+  assert.equal(buildMetadata('plain').insuranceId, 'INS998877');
+});
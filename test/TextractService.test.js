@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config } from '../src/config/Config.js';
+import { PDFProcessor } from '../src/services/PDFProcessor.js';
+import { TextractService } from '../src/services/TextractService.js';
+import { FileCacheStore } from '../src/cache/FileCacheStore.js';
+
+const SAMPLE = 'sample-multi-patient-lab-report.pdf';
+
+function createConfig() {
+  return new Config().merge({ aws: { region: 'us-east-1' }, logging: { level: 'silent' } });
+}
+
+// Textract stand-in counting AnalyzeDocument calls
+function fakeClient() {
+  const client = {
+    calls: 0,
+    async send() {
+      client.calls++;
+      return { Blocks: [{ BlockType: 'LINE', Text: 'Patient Name: John Smith', Confidence: 99 }] };
+    }
+  };
+  return client;
+}
+
+test('the same page extracted twice yields the same cache key', async () => {
+  const config = createConfig();
+  const service = new TextractService(config);
+
+  const first = new PDFProcessor(config);
+  const firstBytes = await first.extractPageBytes(await first.loadPDF(SAMPLE), 2);
+  // pdf-lib stamps the current time into metadata it writes, so let the clock move on
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const second = new PDFProcessor(config);
+  const secondBytes = await second.extractPageBytes(await second.loadPDF(SAMPLE), 2);
+
+  assert.equal(service._cacheKey(secondBytes), service._cacheKey(firstBytes));
+});
+
+test('a second run over the same page is served from the cache', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'textract-cache-'));
+  try {
+    const config = createConfig();
+    const pdfProcessor = new PDFProcessor(config);
+    const client = fakeClient();
+
+    const runOnce = async () => {
+      const service = new TextractService(config, new FileCacheStore({ dir, ttlMs: 60000, maxSizeBytes: 0 }));
+      service.client = client;
+      const bytes = await pdfProcessor.extractPageBytes(await pdfProcessor.loadPDF(SAMPLE), 0);
+      return service.extractData(bytes);
+    };
+
+    assert.equal((await runOnce()).fromCache, false);
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const second = await runOnce();
+    assert.equal(second.fromCache, true);
+    assert.equal(second.text, 'Patient Name: John Smith');
+    assert.equal(client.calls, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('queries are only requested when enabled', async () => {
+  const requests = [];
+  const client = { async send(command) { requests.push(command.input); return { Blocks: [] }; } };
+
+  const byDefault = new TextractService(createConfig());
+  byDefault.client = client;
+  await byDefault.extractData(Buffer.from('%PDF-1.7'));
+  assert.deepEqual(requests[0].FeatureTypes, ['FORMS', 'TABLES']);
+  assert.equal(requests[0].QueriesConfig, undefined);
+
+  const optedIn = new TextractService(createConfig().merge({ textract: { useQueries: true } }));
+  optedIn.client = client;
+  await optedIn.extractData(Buffer.from('%PDF-1.7'));
+  assert.ok(requests[1].FeatureTypes.includes('QUERIES'));
+  assert.equal(requests[1].QueriesConfig.Queries.length, 5);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+test('keeps at most limit calls in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+
+  await mapWithConcurrency([...Array(10).keys()], 3, async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await tick();
+    inFlight--;
+  });
+
+  assert.equal(peak, 3);
+});
+
+test('results keep the input order whatever order calls finish in', async () => {
+  const results = await mapWithConcurrency([30, 1, 15, 5], 4, async (delay, index) => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return `${index}:${delay}`;
+  });
+
+  assert.deepEqual(results, ['0:30', '1:1', '2:15', '3:5']);
+});
+
+test('runs one call at a time without a limit and handles empty input', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  await mapWithConcurrency([1, 2, 3], undefined, async () => {
+    peak = Math.max(peak, ++inFlight);
+    await tick();
+    inFlight--;
+  });
+
+  assert.equal(peak, 1);
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+});
+
+test('a failing call rejects the whole map', async () => {
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3], 2, async item => {
+      if (item === 2) throw new Error('page 2 failed');
+      return item;
+    }),
+    /page 2 failed/
+  );
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMultipart } from '../src/utils/multipart.js';
+
+const CONTENT_TYPE = 'multipart/form-data; boundary=----form1';
+
+function body(...parts) {
+  return Buffer.from(parts.map(part => `------form1\r\n${part}\r\n`).join('') + '------form1--\r\n', 'latin1');
+}
+
+test('splits fields and files with their names and content types', () => {
+  const parts = parseMultipart(body(
+    'Content-Disposition: form-data; name="note"\r\n\r\nfirst batch',
+    'Content-Disposition: form-data; name="file"; filename="report.pdf"\r\nContent-Type: application/pdf\r\n\r\n%PDF-1.7\r\nbinary'
+  ), CONTENT_TYPE);
+
+  assert.deepEqual(parts.map(part => [part.name, part.filename, part.contentType]), [
+    ['note', null, 'text/plain'],
+    ['file', 'report.pdf', 'application/pdf']
+  ]);
+  assert.equal(parts[1].data.toString('latin1'), '%PDF-1.7\r\nbinary');
+});
+
+test('accepts a quoted boundary', () => {
+  const parts = parseMultipart(
+    body('Content-Disposition: form-data; name="file"; filename="a.pdf"\r\n\r\n%PDF'),
+    'multipart/form-data; boundary="----form1"'
+  );
+  assert.equal(parts[0].filename, 'a.pdf');
+});
+
+test('rejects bodies without a boundary or cut short', () => {
+  assert.throws(() => parseMultipart(Buffer.from(''), 'multipart/form-data'), /has no boundary/);
+  assert.throws(() => parseMultipart(Buffer.from('no parts here'), CONTENT_TYPE), /boundary not found/);
+  assert.throws(
+    () => parseMultipart(Buffer.from('------form1\r\nContent-Disposition: form-data; name="file"\r\n\r\n%PDF-1.7'), CONTENT_TYPE),
+    /missing closing boundary/
+  );
+  assert.throws(() => parseMultipart(Buffer.from('------form1\r\nContent-Disposition: form-data'), CONTENT_TYPE), /headers are not terminated/);
+});
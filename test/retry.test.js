@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay, isRetryableError, withRetry } from '../src/utils/retry.js';
+
+const options = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+
+function throttled() {
+  return Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+}
+
+test('throttling, server errors and network failures are retryable', () => {
+  assert.equal(isRetryableError(throttled()), true);
+  assert.equal(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryableError(Object.assign(new Error('busy'), { $metadata: { httpStatusCode: 503 } })), true);
+  assert.equal(isRetryableError(Object.assign(new Error('slow down'), { $metadata: { httpStatusCode: 429 } })), true);
+  assert.equal(isRetryableError(new Error('Textract extraction failed', { cause: throttled() })), true);
+});
+
+test('client errors are not retryable', () => {
+  assert.equal(isRetryableError(Object.assign(new Error('bad'), { name: 'InvalidParameterException', $metadata: { httpStatusCode: 400 } })), false);
+  assert.equal(isRetryableError(new Error('plain')), false);
+  assert.equal(isRetryableError(null), false);
+});
+
+test('backoff grows exponentially up to the cap', () => {
+  for (let i = 0; i < 50; i++) {
+    assert.ok(backoffDelay(1, { baseDelayMs: 100, maxDelayMs: 1000 }) < 100);
+    assert.ok(backoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000 }) < 400);
+    assert.ok(backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000 }) < 1000);
+  }
+});
+
+test('retries retryable errors until a call succeeds', async () => {
+  const retries = [];
+  const result = await withRetry(async attempt => {
+    if (attempt < 3) throw throttled();
+    return 'done';
+  }, { ...options, onRetry: (error, attempt) => retries.push(attempt) });
+
+  assert.equal(result, 'done');
+  assert.deepEqual(retries, [1, 2]);
+});
+
+test('gives up after maxAttempts and records the attempts', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw throttled(); }, options),
+    error => error.name === 'ThrottlingException' && error.attempts === 3
+  );
+  assert.equal(calls, 3);
+});
+
+test('does not retry errors that will not go away', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw new Error('Unsupported document'); }, options),
+    error => error.attempts === 1
+  );
+  assert.equal(calls, 1);
+});